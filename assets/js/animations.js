@@ -26,7 +26,7 @@ class AnimationManager {
     }
 
     checkReducedMotion() {
-        this.isReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        this.isReducedMotion = BrowserUtils.prefersReducedMotion();
         
         // Listen for changes in motion preference
         window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', (e) => {
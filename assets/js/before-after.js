@@ -0,0 +1,176 @@
+/**
+ * Before/After Comparison Slider
+ * Draggable, keyboard-accessible image comparison used in project modals and the gallery
+ */
+
+class BeforeAfterSlider {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.handle = null;
+        this.position = parseFloat(element.dataset.position) || 50;
+        this.isDragging = false;
+
+        this.options = {
+            step: 5,
+            largeStep: 25,
+            ...options
+        };
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Markup for one before/after pair; the image paths and title are escaped here
+     */
+    static template(pair, title = 'Project') {
+        const esc = ValidationUtils.sanitizeHTML;
+
+        return `
+            <div class="before-after-slider" data-position="50">
+                <img class="ba-image ba-after" src="${esc(pair.after)}" alt="${esc(title)} - after" loading="lazy" draggable="false">
+                <div class="ba-image ba-before">
+                    <img src="${esc(pair.before)}" alt="${esc(title)} - before" loading="lazy" draggable="false">
+                </div>
+                <span class="ba-label ba-label-before">Before</span>
+                <span class="ba-label ba-label-after">After</span>
+                <div class="ba-divider">
+                    <div class="ba-handle"
+                         role="slider"
+                         tabindex="0"
+                         aria-label="${esc(title)} before and after comparison"
+                         aria-orientation="horizontal"
+                         aria-valuemin="0"
+                         aria-valuemax="100"
+                         aria-valuenow="50">
+                        <i class="fas fa-arrows-alt-h" aria-hidden="true"></i>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Attach sliders to every comparison inside a container
+     */
+    static mountAll(container) {
+        if (!container) return [];
+
+        return Array.from(container.querySelectorAll('.before-after-slider'))
+            .filter(element => !element.beforeAfterSlider)
+            .map(element => new BeforeAfterSlider(element));
+    }
+
+    init() {
+        this.handle = this.element.querySelector('.ba-handle');
+        this.element.beforeAfterSlider = this;
+
+        this.element.addEventListener('pointerdown', this.handlePointerDown);
+        if (this.handle) {
+            this.handle.addEventListener('keydown', this.handleKeydown);
+        }
+
+        this.setPosition(this.position);
+    }
+
+    handlePointerDown(e) {
+        if (e.button !== undefined && e.button !== 0) return;
+
+        // Keep gallery swipe and modal click handlers from reacting to the drag
+        e.stopPropagation();
+
+        this.isDragging = true;
+        this.element.classList.add('dragging');
+        this.element.setPointerCapture(e.pointerId);
+        this.element.addEventListener('pointermove', this.handlePointerMove);
+        this.element.addEventListener('pointerup', this.handlePointerUp);
+        this.element.addEventListener('pointercancel', this.handlePointerUp);
+
+        this.updateFromPointer(e);
+        if (this.handle) {
+            this.handle.focus({ preventScroll: true });
+        }
+    }
+
+    handlePointerMove(e) {
+        if (!this.isDragging) return;
+        e.preventDefault();
+        this.updateFromPointer(e);
+    }
+
+    handlePointerUp(e) {
+        this.isDragging = false;
+        this.element.classList.remove('dragging');
+
+        if (this.element.hasPointerCapture(e.pointerId)) {
+            this.element.releasePointerCapture(e.pointerId);
+        }
+
+        this.element.removeEventListener('pointermove', this.handlePointerMove);
+        this.element.removeEventListener('pointerup', this.handlePointerUp);
+        this.element.removeEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    updateFromPointer(e) {
+        const rect = this.element.getBoundingClientRect();
+        if (!rect.width) return;
+
+        this.setPosition(((e.clientX - rect.left) / rect.width) * 100);
+    }
+
+    handleKeydown(e) {
+        const keySteps = {
+            ArrowLeft: -this.options.step,
+            ArrowDown: -this.options.step,
+            ArrowRight: this.options.step,
+            ArrowUp: this.options.step,
+            PageDown: -this.options.largeStep,
+            PageUp: this.options.largeStep
+        };
+
+        let position = null;
+        if (e.key in keySteps) {
+            position = this.position + keySteps[e.key];
+        } else if (e.key === 'Home') {
+            position = 0;
+        } else if (e.key === 'End') {
+            position = 100;
+        }
+
+        if (position === null) return;
+
+        // Arrow keys belong to the slider while it has focus, not to gallery navigation
+        e.preventDefault();
+        e.stopPropagation();
+        this.setPosition(position);
+    }
+
+    setPosition(percent) {
+        this.position = Math.min(100, Math.max(0, Math.round(percent)));
+        this.element.style.setProperty('--ba-position', `${this.position}%`);
+        this.element.dataset.position = this.position;
+
+        if (this.handle) {
+            this.handle.setAttribute('aria-valuenow', this.position);
+            this.handle.setAttribute('aria-valuetext', `${this.position}% before, ${100 - this.position}% after`);
+        }
+    }
+
+    destroy() {
+        this.element.removeEventListener('pointerdown', this.handlePointerDown);
+        this.element.removeEventListener('pointermove', this.handlePointerMove);
+        this.element.removeEventListener('pointerup', this.handlePointerUp);
+        this.element.removeEventListener('pointercancel', this.handlePointerUp);
+        if (this.handle) {
+            this.handle.removeEventListener('keydown', this.handleKeydown);
+        }
+        delete this.element.beforeAfterSlider;
+    }
+}
+
+// Export for global access
+window.BeforeAfterSlider = BeforeAfterSlider;
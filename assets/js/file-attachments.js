@@ -0,0 +1,316 @@
+/**
+ * File Attachments
+ * Floor plans and site photos for an inquiry: drag and drop or browse, type and size checks,
+ * previews, and large photos scaled down in the browser before they are uploaded
+ */
+
+class FileAttachments {
+    /**
+     * container holds the file input, .attachment-dropzone, .attachment-list and .attachment-status
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.input = container.querySelector('input[type="file"]');
+        this.dropzone = container.querySelector('.attachment-dropzone');
+        this.list = container.querySelector('.attachment-list');
+        this.status = container.querySelector('.attachment-status');
+
+        this.options = {
+            maxFiles: 5,
+            // Per file as chosen, before scaling down
+            maxFileSize: 10 * 1024 * 1024,
+            // All files together, after scaling down
+            maxTotalSize: 20 * 1024 * 1024,
+            types: {
+                'image/jpeg': 'image',
+                'image/png': 'image',
+                'image/webp': 'image',
+                'application/pdf': 'pdf'
+            },
+            // Longest side of a photo after scaling down (px)
+            maxDimension: 2048,
+            quality: 0.85,
+            onChange: () => {},
+            ...options
+        };
+
+        this.items = [];
+        this.pending = new Set();
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.input.addEventListener('change', () => {
+            this.addFiles(this.input.files);
+            // Choosing the same file again should still fire change
+            this.input.value = '';
+        });
+
+        ['dragenter', 'dragover'].forEach(type => {
+            this.dropzone.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.dropzone.classList.add('is-dragover');
+            });
+        });
+
+        this.dropzone.addEventListener('dragleave', (e) => {
+            if (!this.dropzone.contains(e.relatedTarget)) {
+                this.dropzone.classList.remove('is-dragover');
+            }
+        });
+
+        this.dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dropzone.classList.remove('is-dragover');
+            this.addFiles(e.dataTransfer.files);
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-attachment]');
+            if (button) {
+                this.remove(button.dataset.removeAttachment);
+                this.input.focus();
+            }
+        });
+    }
+
+    /**
+     * Check and add files, then scale down any photos
+     * Resolves once they're ready, after announcing what was attached and what wasn't
+     */
+    async addFiles(fileList) {
+        const errors = [];
+        const added = [];
+
+        Array.from(fileList || []).forEach(file => {
+            const error = this.validate(file);
+            if (error) {
+                if (error !== 'duplicate') errors.push(error);
+                return;
+            }
+
+            const item = {
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                file,
+                original: file,
+                kind: this.options.types[file.type],
+                processing: true,
+                previewUrl: null
+            };
+
+            this.items.push(item);
+            added.push(item);
+        });
+
+        this.render();
+        if (added.length) {
+            this.announce(`Adding ${added.length} file${added.length === 1 ? '' : 's'}…`);
+        }
+
+        const tasks = added.map(item => {
+            const task = this.process(item, errors).finally(() => this.pending.delete(task));
+            this.pending.add(task);
+            return task;
+        });
+
+        const attached = (await Promise.all(tasks)).filter(Boolean).length;
+        const summary = attached ? `${attached} file${attached === 1 ? '' : 's'} attached.` : '';
+        this.announce([summary, ...errors].filter(Boolean).join(' '));
+    }
+
+    /**
+     * An error message for a file we can't take, 'duplicate' for one already attached, or null
+     */
+    validate(file) {
+        const { types, maxFiles, maxFileSize } = this.options;
+
+        if (this.items.some(item => item.original.name === file.name && item.original.size === file.size && item.original.lastModified === file.lastModified)) {
+            return 'duplicate';
+        }
+        if (!types[file.type]) {
+            return `${file.name} isn't a JPEG, PNG, WebP or PDF file.`;
+        }
+        if (file.size > maxFileSize) {
+            return `${file.name} is larger than ${FormatUtils.formatFileSize(maxFileSize)}.`;
+        }
+        if (this.items.length >= maxFiles) {
+            return `You can attach up to ${maxFiles} files.`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolves true once the file is ready, or false with the reason added to errors
+     */
+    async process(item, errors) {
+        try {
+            if (item.kind === 'image') {
+                item.file = await this.downscale(item.original);
+            }
+        } catch (error) {
+            console.warn('Attachment could not be read:', error);
+            if (this.items.includes(item)) {
+                this.remove(item.id);
+                errors.push(`${item.original.name} couldn't be read. Please try another file.`);
+            }
+            return false;
+        }
+
+        // Removed while it was being prepared; no preview URL has been made for it yet
+        if (!this.items.includes(item)) return false;
+
+        if (item.kind === 'image') {
+            item.previewUrl = URL.createObjectURL(item.file);
+        }
+        item.processing = false;
+
+        // Only known after scaling down, so the newest file gives way
+        if (this.getTotalSize() > this.options.maxTotalSize) {
+            this.remove(item.id);
+            errors.push(`${item.original.name} would take your files over ${FormatUtils.formatFileSize(this.options.maxTotalSize)} in total.`);
+            return false;
+        }
+
+        this.render();
+        return true;
+    }
+
+    /**
+     * Redraw a photo no larger than maxDimension; keeps the original when that wouldn't make it smaller
+     */
+    async downscale(file) {
+        const image = await this.loadImage(file);
+        const { naturalWidth: width, naturalHeight: height } = image;
+        const scale = Math.min(1, this.options.maxDimension / Math.max(width, height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, file.type, this.options.quality));
+
+        if (!blob || blob.size >= file.size) {
+            return file;
+        }
+
+        return new File([blob], file.name, { type: blob.type, lastModified: file.lastModified });
+    }
+
+    loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Could not decode ${file.name}`));
+            };
+            image.src = url;
+        });
+    }
+
+    remove(id) {
+        const item = this.items.find(entry => entry.id === id);
+        if (!item) return;
+
+        if (item.previewUrl) {
+            URL.revokeObjectURL(item.previewUrl);
+        }
+
+        this.items = this.items.filter(entry => entry !== item);
+        this.render();
+    }
+
+    clear() {
+        this.items.forEach(item => {
+            if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+        });
+
+        this.items = [];
+        this.render();
+        this.announce('');
+    }
+
+    /**
+     * Resolves once every photo being added has been scaled down
+     */
+    ready() {
+        return Promise.all(Array.from(this.pending));
+    }
+
+    getFiles() {
+        return this.items.filter(item => !item.processing).map(item => item.file);
+    }
+
+    getTotalSize() {
+        return this.items.reduce((total, item) => total + item.file.size, 0);
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        this.items.forEach(item => {
+            const entry = document.createElement('li');
+            entry.className = `attachment-item${item.processing ? ' is-processing' : ''}`;
+
+            const thumb = document.createElement('span');
+            thumb.className = 'attachment-thumb';
+            if (item.previewUrl) {
+                const img = document.createElement('img');
+                img.src = item.previewUrl;
+                img.alt = '';
+                thumb.appendChild(img);
+            } else {
+                thumb.innerHTML = `<i class="fas ${item.processing ? 'fa-spinner fa-spin' : 'fa-file-pdf'}" aria-hidden="true"></i>`;
+            }
+
+            const meta = document.createElement('span');
+            meta.className = 'attachment-meta';
+
+            const name = document.createElement('span');
+            name.className = 'attachment-name';
+            name.textContent = item.original.name;
+
+            const size = document.createElement('span');
+            size.className = 'attachment-size';
+            if (item.processing) {
+                size.textContent = 'Preparing…';
+            } else if (item.file !== item.original) {
+                size.textContent = `${FormatUtils.formatFileSize(item.file.size)} (reduced from ${FormatUtils.formatFileSize(item.original.size)})`;
+            } else {
+                size.textContent = FormatUtils.formatFileSize(item.file.size);
+            }
+
+            meta.append(name, size);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'attachment-remove';
+            remove.dataset.removeAttachment = item.id;
+            remove.setAttribute('aria-label', `Remove ${item.original.name}`);
+            remove.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+
+            entry.append(thumb, meta, remove);
+            this.list.appendChild(entry);
+        });
+
+        this.list.hidden = this.items.length === 0;
+        this.options.onChange(this.getFiles());
+    }
+
+    announce(message) {
+        if (this.status) {
+            this.status.textContent = message;
+        }
+    }
+}
+
+// Export for global access
+window.FileAttachments = FileAttachments;
@@ -1,6 +1,8 @@
 /**
  * Form Handler with Multiple Backend Options
- * Supports FormSubmit.co, Web3Forms, and custom backend
+ * Submissions go through a registry of providers (FormSubmit.co, Web3Forms, custom backend, WhatsApp,
+ * local queue), tried in the configured order until one succeeds. Offline submissions wait in
+ * FormQueue (IndexedDB) and are sent by the service worker, or by this page, once back online
  */
 
 class FormHandler {
@@ -12,6 +14,7 @@ class FormHandler {
                 enabled: true,
                 endpoint: 'https://formsubmit.co/ajax/info@aiinterior.in', // Replace with your email
                 // Add FormSubmit configuration options
+                // Its captcha page can't be shown to AJAX submissions; spam-guard.js screens them instead
                 captcha: false,
                 template: 'table'
             },
@@ -28,101 +31,350 @@ class FormHandler {
                 enabled: false,
                 contactEndpoint: '/api/contact.php',
                 newsletterEndpoint: '/api/newsletter.php'
-            }
+            },
+
+            // Last resorts: open WhatsApp with the message, or keep it on this device
+            whatsApp: {
+                enabled: true
+            },
+            localQueue: {
+                enabled: true
+            },
+
+            // Providers are tried in this order; disabled or unknown ones are skipped
+            providerOrder: {
+                contact: ['formSubmit', 'web3Forms', 'customBackend', 'whatsApp'],
+                newsletter: ['formSubmit', 'web3Forms', 'customBackend', 'localQueue']
+            },
+
+            // How long a provider gets before we move on to the next (ms); override per provider
+            // with e.g. formSubmit: { timeout: 5000 }, or 0 to wait indefinitely
+            providerTimeout: 10000,
+
+            // Time allowed instead when the submission carries attachments
+            uploadTimeout: 60000
         };
 
+        this.providers = new Map();
+        this.registerDefaultProviders();
+
         this.init();
     }
 
     init() {
+        this.setupOfflineQueue();
         console.log('📧 Form Handler initialized');
     }
 
+    /**
+     * Send anything left from an earlier visit, and listen for the service worker's reports
+     */
+    setupOfflineQueue() {
+        if (!window.FormQueue || !FormQueue.isSupported()) return;
+
+        window.addEventListener('online', () => this.resumeQueue());
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'FORMS_SYNCED') {
+                    this.announceSent(e.data.formTypes, e.data.remaining);
+                }
+            });
+        }
+
+        this.resumeQueue();
+    }
+
+    /**
+     * Add or replace a submission provider
+     * provider: {
+     *   isEnabled(formType) - whether to try it for 'contact' or 'newsletter' (defaults to always)
+     *   submit(data, formType, { signal }) - resolves with { success, message } or throws;
+     *                                        signal aborts when the provider's timeout runs out
+     *   toRequest(data, formType) - optional { url, method, headers, body } for the same submission,
+     *                               which lets it be queued offline and sent later without this page
+     *   acceptsFiles - true if it can upload data.attachments; other providers get the submission
+     *                  without them and a note of the file names
+     *   timeout - optional ms, overridden by config[name].timeout
+     * }
+     * Add the name to config.providerOrder to have it tried
+     */
+    registerProvider(name, provider) {
+        if (!provider || typeof provider.submit !== 'function') {
+            throw new Error(`Form provider "${name}" needs a submit() method`);
+        }
+
+        this.providers.set(name, provider);
+    }
+
+    registerDefaultProviders() {
+        this.registerProvider('formSubmit', {
+            isEnabled: () => this.config.formSubmit.enabled,
+            submit: (data, formType, options) => this.submitViaFormSubmit(data, formType, options),
+            toRequest: (data, formType) => this.buildFormSubmitRequest(data, formType)
+        });
+
+        this.registerProvider('web3Forms', {
+            isEnabled: () => this.config.web3Forms.enabled,
+            submit: (data, formType, options) => this.submitViaWeb3Forms(data, formType, options),
+            toRequest: (data, formType) => this.buildWeb3FormsRequest(data, formType)
+        });
+
+        const customEndpoint = formType => (formType === 'newsletter'
+            ? this.config.customBackend.newsletterEndpoint
+            : this.config.customBackend.contactEndpoint);
+
+        this.registerProvider('customBackend', {
+            isEnabled: () => this.config.customBackend.enabled,
+            acceptsFiles: true,
+            submit: (data, formType, options) => this.submitToCustomBackend(customEndpoint(formType), data, options),
+            toRequest: (data, formType) => this.buildCustomBackendRequest(customEndpoint(formType), data)
+        });
+
+        // Opening WhatsApp can't fail or hang, so it needs no timeout
+        this.registerProvider('whatsApp', {
+            isEnabled: () => this.config.whatsApp.enabled,
+            submit: data => this.fallbackToWhatsApp(data),
+            timeout: 0
+        });
+
+        this.registerProvider('localQueue', {
+            isEnabled: () => this.config.localQueue.enabled,
+            submit: (data, formType) => (formType === 'newsletter'
+                ? this.handleNewsletterFallback(data)
+                : this.queueLocally(data, formType)),
+            timeout: 0
+        });
+    }
+
     /**
      * Submit contact form
      */
     async submitContactForm(data) {
-        try {
-            // Use FormSubmit.co
-            if (this.config.formSubmit.enabled) {
-                return await this.submitViaFormSubmit(data);
-            }
+        return this.submit('contact', data);
+    }
 
-            // Use Web3Forms
-            if (this.config.web3Forms.enabled) {
-                return await this.submitViaWeb3Forms(data, 'contact');
-            }
+    /**
+     * Submit newsletter form
+     */
+    async submitNewsletterForm(data) {
+        return this.submit('newsletter', data);
+    }
+
+    /**
+     * Enabled providers for a form, in the configured order
+     */
+    getProviders(formType) {
+        return (this.config.providerOrder[formType] || [])
+            .map(name => ({ name, provider: this.providers.get(name) }))
+            .filter(({ provider }) => provider && (!provider.isEnabled || provider.isEnabled(formType)));
+    }
+
+    /**
+     * Try each enabled provider in order until one succeeds
+     * Resolves with the provider's result plus { provider, attempts }; attempts lists the
+     * providers that failed first. Rejects only when every provider failed
+     * While offline the submission is queued instead and the result has queued: true
+     */
+    async submit(formType, data) {
+        if (!NetworkUtils.isOnline()) {
+            const queued = await this.queueOffline(formType, data);
+            if (queued) return queued;
+        }
+
+        const attempts = [];
+
+        for (const { name, provider } of this.getProviders(formType)) {
+            const payload = this.prepareForProvider(provider, data);
+
+            try {
+                const result = await this.runProvider(name, provider, payload, formType);
 
-            // Use custom backend
-            if (this.config.customBackend.enabled) {
-                return await this.submitToCustomBackend(
-                    this.config.customBackend.contactEndpoint,
-                    data
-                );
+                if (result && result.success === false) {
+                    throw new Error(result.message || 'Submission was rejected');
+                }
+
+                return {
+                    success: true,
+                    ...result,
+                    provider: name,
+                    attempts,
+                    attachmentsDropped: Boolean(payload.files_not_attached)
+                };
+            } catch (error) {
+                console.warn(`Form provider "${name}" failed:`, error);
+                attempts.push({ provider: name, error: error.message });
             }
+        }
 
-            // Fallback to WhatsApp if no backend is configured
-            return await this.fallbackToWhatsApp(data);
+        const error = new Error(attempts.length
+            ? `All form providers failed (${attempts.map(attempt => attempt.provider).join(', ')})`
+            : `No form provider is enabled for ${formType}`);
+        error.attempts = attempts;
+        console.error('Form submission error:', error);
+        throw error;
+    }
 
-        } catch (error) {
-            console.error('Form submission error:', error);
-            throw error;
+    /**
+     * Providers that can't upload files get the submission without them, plus the file names
+     * so whoever reads it knows to ask for them
+     */
+    prepareForProvider(provider, data) {
+        if (provider.acceptsFiles || !Array.isArray(data.attachments)) return data;
+
+        const { attachments, ...fields } = data;
+        if (!attachments.length) return fields;
+
+        return {
+            ...fields,
+            files_not_attached: attachments.map(file => file.name).join(', ')
+        };
+    }
+
+    /**
+     * Run one provider, aborting it once its timeout runs out
+     */
+    runProvider(name, provider, data, formType) {
+        const settings = this.config[name] || {};
+        let timeout = [settings.timeout, provider.timeout, this.config.providerTimeout]
+            .find(value => value !== undefined);
+
+        // Uploads take longer than a plain form post
+        if (timeout && Array.isArray(data.attachments) && data.attachments.length) {
+            timeout = Math.max(timeout, this.config.uploadTimeout);
         }
+        const controller = new AbortController();
+        const submission = Promise.resolve(provider.submit(data, formType, { signal: controller.signal }));
+
+        if (!timeout) return submission;
+
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new Error(`Timed out after ${timeout}ms`));
+            }, timeout);
+        });
+
+        return Promise.race([submission, timedOut]).finally(() => clearTimeout(timer));
     }
 
     /**
-     * Submit newsletter form
+     * Queue a submission for when the connection is back
+     * Resolves with null when it can't be queued, so the providers are tried as usual
      */
-    async submitNewsletterForm(data) {
+    async queueOffline(formType, data) {
+        if (!window.FormQueue || !FormQueue.isSupported()) return null;
+
+        const providers = this.getProviders(formType)
+            .filter(({ provider }) => typeof provider.toRequest === 'function');
+        const requests = providers.map(({ provider }) => provider.toRequest(this.prepareForProvider(provider, data), formType));
+
+        // Nothing here can be sent without the page (e.g. only WhatsApp is enabled)
+        if (!requests.length) return null;
+
         try {
-            // Use FormSubmit.co
-            if (this.config.formSubmit.enabled) {
-                return await this.submitViaFormSubmit({
-                    ...data,
-                    _subject: 'New Newsletter Subscription'
-                });
-            }
+            await FormQueue.add({ formType, data, requests });
+        } catch (error) {
+            console.warn('Could not queue the submission:', error);
+            return null;
+        }
 
-            // Use Web3Forms
-            if (this.config.web3Forms.enabled) {
-                return await this.submitViaWeb3Forms(data, 'newsletter');
-            }
+        this.requestSync();
 
-            // Use custom backend
-            if (this.config.customBackend.enabled) {
-                return await this.submitToCustomBackend(
-                    this.config.customBackend.newsletterEndpoint,
-                    data
-                );
+        const hasAttachments = Array.isArray(data.attachments) && data.attachments.length > 0;
+
+        return {
+            success: true,
+            queued: true,
+            provider: 'offlineQueue',
+            message: 'Queued, will send when back online',
+            attempts: [],
+            attachmentsDropped: hasAttachments && !providers.some(({ provider }) => provider.acceptsFiles)
+        };
+    }
+
+    /**
+     * Have the service worker send the queue on Background Sync, or send it from this page
+     * when the browser doesn't support it
+     */
+    async requestSync() {
+        if ('serviceWorker' in navigator && 'SyncManager' in window) {
+            try {
+                const registration = await navigator.serviceWorker.getRegistration();
+                if (registration && registration.sync) {
+                    await registration.sync.register(FormQueue.syncTag);
+                    return;
+                }
+            } catch (error) {
+                console.warn('Background sync unavailable:', error);
             }
+        }
 
-            // Fallback - store locally and show message
-            return this.handleNewsletterFallback(data);
+        if (NetworkUtils.isOnline()) {
+            await this.flushQueue();
+        }
+    }
 
+    /**
+     * Pick up queued submissions, e.g. after reconnecting or from an earlier visit
+     */
+    async resumeQueue() {
+        try {
+            const entries = await FormQueue.getAll();
+            if (entries.length) {
+                await this.requestSync();
+            }
         } catch (error) {
-            console.error('Newsletter submission error:', error);
-            throw error;
+            console.warn('Could not read the form queue:', error);
+        }
+    }
+
+    async flushQueue() {
+        const { sent, remaining } = await FormQueue.replay();
+
+        if (sent.length) {
+            this.announceSent(sent.map(entry => entry.formType), remaining);
         }
     }
 
     /**
-     * Submit via FormSubmit.co
+     * Let the page tell the visitor their queued forms went through
+     */
+    announceSent(formTypes, remaining) {
+        window.dispatchEvent(new CustomEvent('formQueueSent', {
+            detail: { formTypes, remaining }
+        }));
+    }
+
+    /**
+     * FormSubmit.co request; newsletter signups get their own email subject
      */
-    async submitViaFormSubmit(data) {
+    buildFormSubmitRequest(data, formType = 'contact') {
         const formData = {
-            ...data,
+            ...this.toEmailFields(data),
+            ...(formType === 'newsletter' ? { _subject: 'New Newsletter Subscription' } : {}),
             _captcha: this.config.formSubmit.captcha,
             _template: this.config.formSubmit.template
         };
 
-        const response = await fetch(this.config.formSubmit.endpoint, {
+        return {
+            url: this.config.formSubmit.endpoint,
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Accept': 'application/json'
             },
             body: JSON.stringify(formData)
-        });
+        };
+    }
+
+    /**
+     * Submit via FormSubmit.co
+     */
+    async submitViaFormSubmit(data, formType = 'contact', { signal } = {}) {
+        const { url, ...options } = this.buildFormSubmitRequest(data, formType);
+        const response = await fetch(url, { ...options, signal });
 
         if (!response.ok) {
             throw new Error(`FormSubmit error: ${response.status}`);
@@ -137,25 +389,31 @@ class FormHandler {
         }
     }
 
-    /**
-     * Submit via Web3Forms
-     */
-    async submitViaWeb3Forms(data, formType) {
+    buildWeb3FormsRequest(data, formType) {
         const formData = {
             access_key: this.config.web3Forms.apiKey,
             subject: formType === 'contact' ? 'New Contact Form Submission' : 'New Newsletter Subscription',
             from_name: data.name || 'AI Interior Website',
-            ...data
+            ...this.toEmailFields(data)
         };
 
-        const response = await fetch(this.config.web3Forms.endpoint, {
+        return {
+            url: this.config.web3Forms.endpoint,
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Accept': 'application/json'
             },
             body: JSON.stringify(formData)
-        });
+        };
+    }
+
+    /**
+     * Submit via Web3Forms
+     */
+    async submitViaWeb3Forms(data, formType, { signal } = {}) {
+        const { url, ...options } = this.buildWeb3FormsRequest(data, formType);
+        const response = await fetch(url, { ...options, signal });
 
         if (!response.ok) {
             throw new Error(`Web3Forms error: ${response.status}`);
@@ -171,16 +429,44 @@ class FormHandler {
     }
 
     /**
-     * Submit to custom backend
+     * JSON, or multipart when there are attachments: the other fields as JSON in "payload"
+     * and each file as "attachments[]"
      */
-    async submitToCustomBackend(endpoint, data) {
-        const response = await fetch(endpoint, {
+    buildCustomBackendRequest(endpoint, data) {
+        const { attachments, ...fields } = data;
+
+        if (Array.isArray(attachments) && attachments.length) {
+            // No Content-Type header: the browser adds it with the multipart boundary
+            return {
+                url: endpoint,
+                method: 'POST',
+                formData: [
+                    ['payload', JSON.stringify(fields)],
+                    ...attachments.map(file => ['attachments[]', file, file.name])
+                ]
+            };
+        }
+
+        return {
+            url: endpoint,
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify(data)
-        });
+        };
+    }
+
+    /**
+     * Submit to custom backend
+     */
+    async submitToCustomBackend(endpoint, data, { signal } = {}) {
+        const { url, formData, ...options } = this.buildCustomBackendRequest(endpoint, data);
+        if (formData) {
+            options.body = FormQueue.toFormData(formData);
+        }
+
+        const response = await fetch(url, { ...options, signal });
 
         if (!response.ok) {
             throw new Error(`Backend error: ${response.status}`);
@@ -219,18 +505,108 @@ class FormHandler {
      * Format contact data for WhatsApp
      */
     formatWhatsAppMessage(data) {
+        const hasProjects = Array.isArray(data.projects) && data.projects.length > 0;
+
         let message = `*New Contact Form Inquiry*\n\n`;
+        if (hasProjects) {
+            message = `*New Shortlist Quote Request*\n\n`;
+        } else if (data.quote) {
+            message = `*New Quote Request*\n\n`;
+        }
+
         message += `*Name:* ${data.name}\n`;
         message += `*Email:* ${data.email}\n`;
         message += `*Phone:* ${data.phone}\n`;
 
-        if (data.service) {
+        if (data.quote) {
+            message += `\n*Project:*\n`;
+            this.formatQuoteDetails(data.quote).forEach(({ label, value }) => {
+                message += `*${label}:* ${value}\n`;
+            });
+        } else if (data.service) {
             message += `*Service:* ${data.service}\n`;
         }
 
-        message += `\n*Message:*\n${data.message}`;
+        if (hasProjects) {
+            message += `\n*Shortlisted Projects:*\n${this.formatProjectList(data.projects)}\n`;
+        }
+
+        if (data.message) {
+            message += `\n*Message:*\n${data.message}`;
+        }
+
+        // WhatsApp links can't carry files, so they're attached in the chat
+        if (data.files_not_attached) {
+            message += `\n\n*Files I'll send here:* ${data.files_not_attached}`;
+        }
+
+        return message.trim();
+    }
+
+    /**
+     * A quote wizard payload as readable lines, skipping anything left blank
+     * Returns [{ key, label, value }]; key names the flat field sent to email services
+     */
+    formatQuoteDetails(quote) {
+        const labels = quote.labels || {};
+        const address = [quote.siteAddress, quote.pincode].filter(Boolean).join(' - ');
+
+        return [
+            { key: 'property_type', label: 'Property', value: labels.propertyType },
+            { key: 'spaces', label: 'Spaces', value: labels.rooms },
+            { key: 'carpet_area', label: 'Carpet area', value: quote.carpetArea ? `${quote.carpetArea} sq ft` : '' },
+            { key: 'budget', label: 'Budget', value: labels.budget },
+            { key: 'style', label: 'Style', value: labels.styles },
+            { key: 'timeline', label: 'Timeline', value: labels.timeline },
+            { key: 'site_address', label: 'Site', value: address }
+        ].filter(detail => detail.value);
+    }
+
+    /**
+     * Contact data for a quote request built from the visitor's portfolio shortlist
+     * projects: [{ id, title, budget }]
+     */
+    buildShortlistInquiry(contact, projects) {
+        const count = projects.length;
+
+        return {
+            ...contact,
+            service: contact.service || 'Portfolio shortlist',
+            message: contact.message || 'I would like a quote for a project like the ones I shortlisted.',
+            inquiry_type: 'shortlist',
+            _subject: `Shortlist quote request (${count} project${count === 1 ? '' : 's'})`,
+            projects: projects.map(({ id, title, budget }) => ({ id, title, budget }))
+        };
+    }
+
+    /**
+     * One numbered line per project: "1. Title (id) - budget"
+     */
+    formatProjectList(projects) {
+        return projects
+            .map((project, index) => `${index + 1}. ${project.title} (${project.id}) - ${project.budget}`)
+            .join('\n');
+    }
+
+    /**
+     * Email services take flat fields, so the project list and quote details go in as text
+     * The custom backend receives the structured projects array and quote as-is
+     */
+    toEmailFields(data) {
+        const { projects, quote, ...fields } = data;
+
+        if (Array.isArray(projects)) {
+            fields.shortlist = this.formatProjectList(projects);
+            fields.shortlist_ids = projects.map(project => project.id).join(', ');
+        }
+
+        if (quote) {
+            this.formatQuoteDetails(quote).forEach(({ key, value }) => {
+                fields[key] = value;
+            });
+        }
 
-        return message;
+        return fields;
     }
 
     /**
@@ -260,6 +636,27 @@ class FormHandler {
         }
     }
 
+    /**
+     * Keep a submission on this device when nothing else could take it
+     */
+    queueLocally(data, formType) {
+        const queue = StorageUtils.localStorage.get('form_queue', []);
+        queue.push({ formType, data, queuedAt: new Date().toISOString() });
+
+        if (!StorageUtils.localStorage.set('form_queue', queue)) {
+            throw new Error('Could not store the submission locally');
+        }
+
+        return { success: true, message: 'Submission saved on this device' };
+    }
+
+    /**
+     * Submissions kept by queueLocally() (for admin)
+     */
+    getQueuedSubmissions() {
+        return StorageUtils.localStorage.get('form_queue', []);
+    }
+
     /**
      * Get stored newsletter emails (for admin)
      */
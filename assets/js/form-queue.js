@@ -0,0 +1,167 @@
+/**
+ * Form Queue
+ * Keeps contact and newsletter submissions made offline in IndexedDB until they can be sent.
+ * Shared by the page (form-handler.js queues them) and the service worker (sw.js replays them
+ * on Background Sync), so it only uses what both have: indexedDB and fetch
+ */
+
+const FormQueue = {
+    dbName: 'ai-interior-forms',
+    storeName: 'submissions',
+    syncTag: 'sync-forms',
+
+    dbPromise: null,
+    replaying: null,
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Run one store request in its own transaction, resolving once the transaction commits
+     */
+    async withStore(mode, run) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = run(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * The same form sent with the same fields gets the same id, so pressing Send twice while
+     * offline queues it once. Files stringify as {}, so they're described by name, size and date
+     */
+    getId(formType, data) {
+        const text = `${formType}:${JSON.stringify(data, (key, value) => (
+            typeof File !== 'undefined' && value instanceof File
+                ? { name: value.name, size: value.size, lastModified: value.lastModified }
+                : value
+        ))}`;
+        let hash = 5381;
+
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+
+        return `${formType}-${(hash >>> 0).toString(36)}`;
+    },
+
+    /**
+     * requests: [{ url, method, headers, body or formData }], tried in order when the entry is replayed
+     */
+    async add({ formType, data, requests }) {
+        const entry = {
+            id: this.getId(formType, data),
+            formType,
+            data,
+            requests,
+            queuedAt: new Date().toISOString()
+        };
+
+        await this.withStore('readwrite', store => store.put(entry));
+        return entry;
+    },
+
+    getAll() {
+        return this.withStore('readonly', store => store.getAll());
+    },
+
+    remove(id) {
+        return this.withStore('readwrite', store => store.delete(id));
+    },
+
+    /**
+     * Multipart bodies are stored as [name, value, filename] entries, since FormData can't be
+     * kept in IndexedDB but the files in it can
+     */
+    toFormData(entries) {
+        const formData = new FormData();
+
+        entries.forEach(([name, value, filename]) => {
+            if (filename) {
+                formData.append(name, value, filename);
+            } else {
+                formData.append(name, value);
+            }
+        });
+
+        return formData;
+    },
+
+    /**
+     * Try an entry's requests in order; true once one of them is accepted
+     */
+    async send(entry) {
+        for (const { url, formData, ...options } of entry.requests) {
+            try {
+                if (formData) {
+                    options.body = this.toFormData(formData);
+                }
+
+                const response = await fetch(url, options);
+                if (!response.ok) continue;
+
+                const result = await response.json().catch(() => ({}));
+                if (result.success !== false) return true;
+            } catch (error) {
+                // Still offline or the service is down; try the next one
+            }
+        }
+
+        return false;
+    },
+
+    /**
+     * Send everything waiting; entries that fail stay queued for the next attempt
+     * Resolves with { sent: [entries], remaining }
+     */
+    replay() {
+        if (!this.replaying) {
+            this.replaying = (async () => {
+                const entries = await this.getAll();
+                const sent = [];
+
+                for (const entry of entries) {
+                    if (await this.send(entry)) {
+                        await this.remove(entry.id);
+                        sent.push(entry);
+                    }
+                }
+
+                return { sent, remaining: entries.length - sent.length };
+            })().finally(() => {
+                this.replaying = null;
+            });
+        }
+
+        return this.replaying;
+    }
+};
+
+// Export for global access (self is the window on the page and the worker in sw.js)
+self.FormQueue = FormQueue;
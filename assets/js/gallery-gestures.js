@@ -0,0 +1,410 @@
+/**
+ * Gallery Gestures
+ * Swipe to navigate, pinch/double-tap/wheel zoom and pan with momentum for the image gallery.
+ * Built on Pointer Events, so mouse, pen and touch share one code path.
+ */
+
+class GalleryGestures {
+    constructor(stage, options = {}) {
+        this.stage = stage;
+        this.image = stage.querySelector('img');
+
+        this.options = {
+            maxScale: 4,
+            doubleTapScale: 2.5,
+            // A swipe needs this much travel (px) or speed (px/ms)
+            swipeDistance: 60,
+            swipeVelocity: 0.5,
+            // Movement (px) below which a press still counts as a tap
+            tapSlop: 10,
+            doubleTapDelay: 300,
+            // Momentum decay per 16ms frame
+            friction: 0.92,
+            onSwipeLeft: null,
+            onSwipeRight: null,
+            onZoomChange: null,
+            // Called with the CSS transform and scale whenever the image moves, for overlays that follow it
+            onTransform: null,
+            ...options
+        };
+
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = null;
+        this.momentumFrame = null;
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.zoomed = false;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.preventDrag = e => e.preventDefault();
+
+        this.init();
+    }
+
+    init() {
+        this.stage.addEventListener('pointerdown', this.handlePointerDown);
+        this.stage.addEventListener('pointermove', this.handlePointerMove);
+        this.stage.addEventListener('pointerup', this.handlePointerUp);
+        this.stage.addEventListener('pointercancel', this.handlePointerUp);
+        this.stage.addEventListener('wheel', this.handleWheel, { passive: false });
+        this.stage.addEventListener('dragstart', this.preventDrag);
+    }
+
+    isZoomed() {
+        return this.zoomed;
+    }
+
+    handlePointerDown(e) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        if (!this.image || this.image.hidden || e.target.closest('button')) return;
+
+        this.stopMomentum();
+        this.stage.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.stage.classList.add('is-dragging');
+
+        if (this.pointers.size === 2) {
+            this.startPinch();
+        } else if (this.pointers.size === 1) {
+            this.startDrag(e);
+        }
+    }
+
+    startDrag(e) {
+        this.gesture = {
+            type: this.scale > 1 ? 'pan' : 'swipe',
+            startX: e.clientX,
+            startY: e.clientY,
+            originX: this.x,
+            originY: this.y,
+            startTime: e.timeStamp,
+            lastX: e.clientX,
+            lastY: e.clientY,
+            lastTime: e.timeStamp,
+            velocityX: 0,
+            velocityY: 0,
+            moved: false
+        };
+    }
+
+    startPinch() {
+        const [first, second] = Array.from(this.pointers.values());
+
+        // A swipe in progress turns into a pinch, so drop its offset
+        if (this.gesture && this.gesture.type === 'swipe') {
+            this.x = 0;
+            this.y = 0;
+        }
+
+        const midpoint = this.toLocal((first.x + second.x) / 2, (first.y + second.y) / 2);
+        this.gesture = {
+            type: 'pinch',
+            startDistance: Math.hypot(second.x - first.x, second.y - first.y) || 1,
+            startScale: this.scale,
+            // Image point under the fingers, which stays under them while zooming
+            anchorX: (midpoint.x - this.x) / this.scale,
+            anchorY: (midpoint.y - this.y) / this.scale
+        };
+    }
+
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+
+        e.preventDefault();
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        const gesture = this.gesture;
+
+        if (gesture.type === 'pinch') {
+            if (this.pointers.size < 2) return;
+
+            const [first, second] = Array.from(this.pointers.values());
+            const distance = Math.hypot(second.x - first.x, second.y - first.y);
+            const midpoint = this.toLocal((first.x + second.x) / 2, (first.y + second.y) / 2);
+
+            this.scale = this.clampScale(gesture.startScale * (distance / gesture.startDistance));
+            this.x = midpoint.x - gesture.anchorX * this.scale;
+            this.y = midpoint.y - gesture.anchorY * this.scale;
+            this.applyTransform();
+            return;
+        }
+
+        const deltaX = e.clientX - gesture.startX;
+        const deltaY = e.clientY - gesture.startY;
+
+        if (Math.hypot(deltaX, deltaY) > this.options.tapSlop) {
+            gesture.moved = true;
+        }
+
+        // Smoothed velocity for momentum and swipe detection
+        const elapsed = e.timeStamp - gesture.lastTime;
+        if (elapsed > 0) {
+            gesture.velocityX = 0.8 * ((e.clientX - gesture.lastX) / elapsed) + 0.2 * gesture.velocityX;
+            gesture.velocityY = 0.8 * ((e.clientY - gesture.lastY) / elapsed) + 0.2 * gesture.velocityY;
+        }
+        gesture.lastX = e.clientX;
+        gesture.lastY = e.clientY;
+        gesture.lastTime = e.timeStamp;
+
+        if (gesture.type === 'pan') {
+            this.x = gesture.originX + deltaX;
+            this.y = gesture.originY + deltaY;
+            this.clampPosition();
+        } else {
+            // Swipe: the image follows the finger horizontally as feedback
+            this.x = deltaX;
+        }
+
+        this.applyTransform();
+    }
+
+    handlePointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+
+        this.pointers.delete(e.pointerId);
+        if (this.stage.hasPointerCapture(e.pointerId)) {
+            this.stage.releasePointerCapture(e.pointerId);
+        }
+
+        const gesture = this.gesture;
+        if (!gesture) return;
+
+        if (gesture.type === 'pinch') {
+            if (this.pointers.size === 1) {
+                // Keep panning with the finger that is still down
+                const [remaining] = Array.from(this.pointers.values());
+                this.startDrag({ clientX: remaining.x, clientY: remaining.y, timeStamp: e.timeStamp });
+                this.gesture.moved = true;
+                this.gesture.afterPinch = true;
+                return;
+            }
+            this.endGesture();
+            this.settle();
+            return;
+        }
+
+        if (this.pointers.size) return;
+        this.endGesture();
+
+        if (!gesture.moved) {
+            this.handleTap(e);
+            return;
+        }
+
+        if (gesture.type === 'pan') {
+            this.startMomentum(gesture.velocityX, gesture.velocityY);
+            return;
+        }
+
+        // The last finger of a pinch lifting is not a swipe
+        if (gesture.afterPinch) {
+            this.settle();
+            return;
+        }
+
+        const deltaX = e.clientX - gesture.startX;
+        const deltaY = e.clientY - gesture.startY;
+        const isHorizontal = Math.abs(deltaX) > Math.abs(deltaY);
+        const isSwipe = isHorizontal && (
+            Math.abs(deltaX) > this.options.swipeDistance ||
+            Math.abs(gesture.velocityX) > this.options.swipeVelocity
+        );
+
+        if (isSwipe) {
+            this.reset();
+            const callback = deltaX < 0 ? this.options.onSwipeLeft : this.options.onSwipeRight;
+            if (callback) {
+                callback();
+            }
+        } else {
+            // Not far or fast enough: snap back
+            this.x = 0;
+            this.y = 0;
+            this.applyTransform(true);
+        }
+    }
+
+    endGesture() {
+        this.gesture = null;
+        this.stage.classList.remove('is-dragging');
+    }
+
+    handleTap(e) {
+        const previous = this.lastTap;
+        const isDoubleTap = previous &&
+            e.timeStamp - previous.time < this.options.doubleTapDelay &&
+            Math.hypot(e.clientX - previous.x, e.clientY - previous.y) < this.options.tapSlop * 2;
+
+        if (!isDoubleTap) {
+            this.lastTap = { time: e.timeStamp, x: e.clientX, y: e.clientY };
+            return;
+        }
+
+        this.lastTap = null;
+        if (this.scale > 1) {
+            this.reset(true);
+        } else {
+            this.zoomTo(this.options.doubleTapScale, this.toLocal(e.clientX, e.clientY), true);
+        }
+    }
+
+    handleWheel(e) {
+        if (!this.image || this.image.hidden) return;
+
+        e.preventDefault();
+        this.stopMomentum();
+
+        // Trackpad pinches arrive as ctrl+wheel with small deltas, so scale them up
+        const sensitivity = e.ctrlKey ? 0.01 : 0.002;
+        const factor = Math.exp(-e.deltaY * sensitivity);
+        this.zoomTo(this.scale * factor, this.toLocal(e.clientX, e.clientY));
+    }
+
+    /**
+     * Zoom to a scale keeping the given stage point fixed
+     */
+    zoomTo(scale, point, animate = false) {
+        const nextScale = this.clampScale(scale);
+        const ratio = nextScale / this.scale;
+
+        this.x = point.x - (point.x - this.x) * ratio;
+        this.y = point.y - (point.y - this.y) * ratio;
+        this.scale = nextScale;
+
+        this.clampPosition();
+        this.applyTransform(animate);
+    }
+
+    startMomentum(velocityX, velocityY) {
+        if (BrowserUtils.prefersReducedMotion() || Math.hypot(velocityX, velocityY) < 0.05) {
+            this.settle();
+            return;
+        }
+
+        let lastTime = performance.now();
+        this.stage.classList.add('is-dragging');
+
+        const step = (now) => {
+            const elapsed = now - lastTime;
+            lastTime = now;
+
+            const previousX = this.x;
+            const previousY = this.y;
+            this.x += velocityX * elapsed;
+            this.y += velocityY * elapsed;
+            this.clampPosition();
+
+            // Stop along an axis once it hits the edge
+            if (this.x === previousX) velocityX = 0;
+            if (this.y === previousY) velocityY = 0;
+
+            const decay = Math.pow(this.options.friction, elapsed / 16);
+            velocityX *= decay;
+            velocityY *= decay;
+            this.applyTransform();
+
+            if (Math.hypot(velocityX, velocityY) < 0.02) {
+                this.momentumFrame = null;
+                this.stage.classList.remove('is-dragging');
+                return;
+            }
+            this.momentumFrame = requestAnimationFrame(step);
+        };
+
+        this.momentumFrame = requestAnimationFrame(step);
+    }
+
+    stopMomentum() {
+        if (this.momentumFrame) {
+            cancelAnimationFrame(this.momentumFrame);
+            this.momentumFrame = null;
+            this.stage.classList.remove('is-dragging');
+        }
+    }
+
+    /**
+     * Bring the image back inside its bounds after a gesture
+     */
+    settle() {
+        if (this.scale <= 1.05) {
+            this.reset(true);
+            return;
+        }
+        this.clampPosition();
+        this.applyTransform(true);
+    }
+
+    reset(animate = false) {
+        this.stopMomentum();
+        this.pointers.clear();
+        this.endGesture();
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.applyTransform(animate);
+    }
+
+    clampScale(scale) {
+        return Math.min(this.options.maxScale, Math.max(1, scale));
+    }
+
+    /**
+     * Keep the zoomed image covering its own frame, no empty edges
+     */
+    clampPosition() {
+        const width = this.image.offsetWidth;
+        const height = this.image.offsetHeight;
+
+        this.x = Math.min(0, Math.max(width - width * this.scale, this.x));
+        this.y = Math.min(0, Math.max(height - height * this.scale, this.y));
+    }
+
+    /**
+     * Client coordinates relative to the untransformed image
+     */
+    toLocal(clientX, clientY) {
+        const rect = this.stage.getBoundingClientRect();
+        return {
+            x: clientX - rect.left - this.image.offsetLeft,
+            y: clientY - rect.top - this.image.offsetTop
+        };
+    }
+
+    applyTransform(animate = false) {
+        this.stage.classList.toggle('is-animating', animate && !BrowserUtils.prefersReducedMotion());
+        this.image.style.transform = this.scale === 1 && this.x === 0 && this.y === 0
+            ? ''
+            : `translate3d(${this.x}px, ${this.y}px, 0) scale(${this.scale})`;
+
+        if (this.options.onTransform) {
+            this.options.onTransform(this.image.style.transform, this.scale);
+        }
+
+        const zoomed = this.scale > 1;
+        if (zoomed !== this.zoomed) {
+            this.zoomed = zoomed;
+            this.stage.classList.toggle('is-zoomed', zoomed);
+            if (this.options.onZoomChange) {
+                this.options.onZoomChange(zoomed);
+            }
+        }
+    }
+
+    destroy() {
+        this.stopMomentum();
+        this.stage.removeEventListener('pointerdown', this.handlePointerDown);
+        this.stage.removeEventListener('pointermove', this.handlePointerMove);
+        this.stage.removeEventListener('pointerup', this.handlePointerUp);
+        this.stage.removeEventListener('pointercancel', this.handlePointerUp);
+        this.stage.removeEventListener('wheel', this.handleWheel);
+        this.stage.removeEventListener('dragstart', this.preventDrag);
+    }
+}
+
+// Export for global access
+window.GalleryGestures = GalleryGestures;
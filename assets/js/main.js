@@ -11,6 +11,7 @@ class InteriorDesignApp {
         this.whatsappButton = null;
         this.contactForm = null;
         this.newsletterForm = null;
+        this.isSubmittingContact = false;
         
         this.init();
     }
@@ -76,12 +77,13 @@ class InteriorDesignApp {
                 throw new Error(`Failed to load ${name}: ${response.status}`);
             }
             
-            const html = await response.text();
+            // Responsive variants are swapped in before the markup reaches the page
+            const [html] = await Promise.all([response.text(), ResponsiveImages.load()]);
             const placeholder = document.getElementById(`${name}-section`) || 
                               document.getElementById(`${name}-placeholder`);
             
             if (placeholder) {
-                placeholder.innerHTML = html;
+                placeholder.innerHTML = ResponsiveImages.upgradeHTML(html);
                 this.components.set(name, placeholder);
             } else {
                 console.warn(`Placeholder not found for component: ${name}`);
@@ -373,7 +375,7 @@ class InteriorDesignApp {
     bindGlobalEvents() {
         // Smooth scroll for all internal links
         document.addEventListener('click', (e) => {
-            const link = e.target.closest('a[href^="#"]');
+            const link = e.target.closest('a[href^="#"]:not([href^="#/"])');
             if (link && link.getAttribute('href') !== '#') {
                 e.preventDefault();
                 const target = document.querySelector(link.getAttribute('href'));
@@ -409,6 +411,14 @@ class InteriorDesignApp {
         window.addEventListener('offline', () => {
             this.showNotification('Connection lost. Some features may not work.', 'warning');
         });
+
+        // Forms sent while offline are delivered by FormHandler once the connection is back
+        window.addEventListener('formQueueSent', (e) => {
+            const count = e.detail.formTypes.length;
+            this.showNotification(count === 1
+                ? 'You\'re back online and your queued form has been sent.'
+                : `You're back online and your ${count} queued forms have been sent.`, 'success');
+        });
     }
 
     smoothScrollTo(target) {
@@ -441,6 +451,19 @@ class InteriorDesignApp {
         this.contactForm = document.getElementById('contact-form');
         if (!this.contactForm) return;
 
+        if (window.SpamGuard) {
+            SpamGuard.watch(this.contactForm);
+        }
+
+        // The quote wizard handles submit itself, sending from its last step
+        if (window.QuoteWizard && this.contactForm.querySelector('.quote-step')) {
+            this.quoteWizard = new QuoteWizard(this.contactForm, {
+                validateField: field => this.validateField(field),
+                onSubmit: () => this.handleContactSubmission(this.contactForm)
+            });
+            return;
+        }
+
         this.contactForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             await this.handleContactSubmission(this.contactForm);
@@ -451,6 +474,10 @@ class InteriorDesignApp {
         this.newsletterForm = document.getElementById('newsletter-form');
         if (!this.newsletterForm) return;
 
+        if (window.SpamGuard) {
+            SpamGuard.watch(this.newsletterForm);
+        }
+
         this.newsletterForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             await this.handleNewsletterSubmission(this.newsletterForm);
@@ -460,7 +487,8 @@ class InteriorDesignApp {
     setupFormValidation() {
         // Real-time validation for all forms
         document.addEventListener('input', (e) => {
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+            // Radio and checkbox groups are checked as a whole by the quote wizard
+            if ((e.target.tagName === 'INPUT' && e.target.type !== 'radio' && e.target.type !== 'checkbox') || e.target.tagName === 'TEXTAREA') {
                 this.validateField(e.target);
             }
         });
@@ -488,6 +516,15 @@ class InteriorDesignApp {
                 isValid = false;
                 message = 'Please enter a valid phone number';
             }
+        } else if (type === 'number' && value) {
+            const number = Number(value);
+            if (Number.isNaN(number) || (field.min && number < Number(field.min)) || (field.max && number > Number(field.max))) {
+                isValid = false;
+                message = `Please enter a number between ${field.min || 0} and ${field.max || 'any'}`;
+            }
+        } else if (field.pattern && value && !new RegExp(`^(?:${field.pattern})$`).test(value)) {
+            isValid = false;
+            message = field.title || 'Please match the requested format';
         }
 
         // Update field styling and message
@@ -527,23 +564,11 @@ class InteriorDesignApp {
     }
 
     async handleContactSubmission(form) {
-        const formData = new FormData(form);
-        const data = Object.fromEntries(formData.entries());
+        // Another press while photos are still scaling down would otherwise send the request twice
+        if (this.isSubmittingContact) return;
+        this.isSubmittingContact = true;
 
-        // Validate all fields
-        const fields = form.querySelectorAll('input, textarea, select');
-        let isFormValid = true;
-
-        fields.forEach(field => {
-            if (!this.validateField(field)) {
-                isFormValid = false;
-            }
-        });
-
-        if (!isFormValid) {
-            this.showNotification('Please fix the errors in the form', 'error');
-            return;
-        }
+        const wizard = this.quoteWizard;
 
         // Show loading state
         const submitBtn = form.querySelector('button[type="submit"]');
@@ -552,12 +577,77 @@ class InteriorDesignApp {
         submitBtn.disabled = true;
 
         try {
-            // Simulate API call (replace with actual endpoint)
-            await this.submitContactForm(data);
-            
-            this.showNotification('Thank you! Your message has been sent successfully.', 'success');
-            form.reset();
-            this.trackFormSubmission('contact', data);
+            // Photos may still be scaling down
+            if (wizard && wizard.attachments) {
+                await wizard.attachments.ready();
+            }
+
+            const data = wizard ? wizard.getPayload() : Object.fromEntries(new FormData(form).entries());
+            // The honeypot is checked on the form, never sent
+            delete data.fax_only;
+
+            // Validate all fields (the wizard also returns to the first step with a problem)
+            let isFormValid = true;
+
+            if (wizard) {
+                isFormValid = wizard.validateAll();
+            } else {
+                form.querySelectorAll('input, textarea, select').forEach(field => {
+                    if (!this.validateField(field)) {
+                        isFormValid = false;
+                    }
+                });
+            }
+
+            if (!isFormValid) {
+                this.showNotification('Please fix the errors in the form', 'error');
+                return;
+            }
+
+            const spamText = [data.name, data.message, data.quote && data.quote.siteAddress].filter(Boolean).join(' ');
+            const verdict = await this.checkForSpam(form, 'contact', data, spamText);
+            if (!verdict.ok) {
+                // A bot that filled the honeypot is told it worked, so it has no reason to retry
+                if (verdict.silent) {
+                    this.showNotification('Thank you! Your message has been sent successfully.', 'success');
+                    if (wizard) {
+                        wizard.reset();
+                    } else {
+                        form.reset();
+                    }
+                } else {
+                    this.showNotification(verdict.message, 'error');
+                }
+                return;
+            }
+
+            const result = await this.submitContactForm(data);
+
+            // When every backend failed over to WhatsApp, the visitor still has to press send there
+            let message = 'Thank you! Your message has been sent successfully.';
+            let type = 'success';
+            if (result && result.provider === 'whatsApp') {
+                message = result.attachmentsDropped
+                    ? 'We\'ve opened WhatsApp with your message. Please attach your files in the chat, then press send.'
+                    : 'We\'ve opened WhatsApp with your message. Just press send to reach us.';
+            } else if (result && result.attachmentsDropped) {
+                message = `${result.queued ? 'You\'re offline. Your message is queued and will send when you\'re back online' : 'Thank you! Your message has been sent'}, but without your files. Please email them to info@aiinterior.in or send them on WhatsApp.`;
+                type = 'warning';
+            } else if (result && result.queued) {
+                message = 'You\'re offline. Your message is queued and will send when you\'re back online.';
+                type = 'info';
+            }
+
+            this.showNotification(message, type);
+            if (wizard) {
+                wizard.reset();
+            } else {
+                form.reset();
+            }
+            if (window.SpamGuard) {
+                SpamGuard.markSent(form, 'contact');
+            }
+            this.trackFormSubmission('contact', data, result && result.provider);
             
         } catch (error) {
             console.error('Contact form submission error:', error);
@@ -566,11 +656,13 @@ class InteriorDesignApp {
             // Restore button state
             submitBtn.innerHTML = originalText;
             submitBtn.disabled = false;
+            this.isSubmittingContact = false;
         }
     }
 
     async handleNewsletterSubmission(form) {
         const email = form.querySelector('input[type="email"]').value;
+        const data = { email };
 
         if (!this.validateField(form.querySelector('input[type="email"]'))) {
             return;
@@ -582,10 +674,28 @@ class InteriorDesignApp {
         submitBtn.disabled = true;
 
         try {
-            await this.submitNewsletterForm({ email });
-            this.showNotification('Successfully subscribed to our newsletter!', 'success');
+            const verdict = await this.checkForSpam(form, 'newsletter', data);
+            if (!verdict.ok) {
+                if (verdict.silent) {
+                    this.showNotification('Successfully subscribed to our newsletter!', 'success');
+                    form.reset();
+                } else {
+                    this.showNotification(verdict.message, 'error');
+                }
+                return;
+            }
+
+            const result = await this.submitNewsletterForm(data);
+            if (result && result.queued) {
+                this.showNotification('You\'re offline. Your subscription is queued and will send when you\'re back online.', 'info');
+            } else {
+                this.showNotification('Successfully subscribed to our newsletter!', 'success');
+            }
             form.reset();
-            this.trackFormSubmission('newsletter', { email });
+            if (window.SpamGuard) {
+                SpamGuard.markSent(form, 'newsletter');
+            }
+            this.trackFormSubmission('newsletter', data, result && result.provider);
             
         } catch (error) {
             console.error('Newsletter subscription error:', error);
@@ -596,6 +706,26 @@ class InteriorDesignApp {
         }
     }
 
+    /**
+     * Run the spam checks before sending; adds any proof-of-work token to data
+     * Resolves with SpamGuard's verdict
+     */
+    async checkForSpam(form, formType, data, text = '') {
+        if (!window.SpamGuard) {
+            return { ok: true, fields: {} };
+        }
+
+        const verdict = await SpamGuard.check(form, { formType, text, data });
+
+        if (verdict.ok) {
+            Object.assign(data, verdict.fields);
+        } else {
+            this.trackSpamBlocked(formType, verdict.reason);
+        }
+
+        return verdict;
+    }
+
     async submitContactForm(data) {
         // Use FormHandler for submission
         if (window.FormHandler) {
@@ -619,6 +749,11 @@ class InteriorDesignApp {
     }
 
     formatWhatsAppMessage(data) {
+        // FormHandler also knows how to include shortlisted projects
+        if (window.FormHandler) {
+            return window.FormHandler.formatWhatsAppMessage(data);
+        }
+
         let message = `*New Contact Form Inquiry*\n\n`;
         message += `*Name:* ${data.name}\n`;
         message += `*Email:* ${data.email}\n`;
@@ -909,10 +1044,21 @@ class InteriorDesignApp {
     }
 
     // Tracking methods
-    trackFormSubmission(formType, data) {
+    trackFormSubmission(formType, data, provider) {
         if (typeof gtag !== 'undefined') {
             gtag('event', 'form_submit', {
                 'form_type': formType,
+                'form_provider': provider || 'unknown',
+                'event_category': 'contact'
+            });
+        }
+    }
+
+    trackSpamBlocked(formType, reason) {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'form_spam_blocked', {
+                'form_type': formType,
+                'block_reason': reason,
                 'event_category': 'contact'
             });
         }
@@ -272,9 +272,9 @@ class NavigationManager {
     }
 
     setupSmoothScroll() {
-        // Smooth scroll for anchor links (enhanced version)
+        // Smooth scroll for anchor links (enhanced version), leaving #/ app routes to their handlers
         document.addEventListener('click', (e) => {
-            const link = e.target.closest('a[href^="#"]');
+            const link = e.target.closest('a[href^="#"]:not([href^="#/"])');
 
             if (link && link.getAttribute('href') !== '#') {
                 e.preventDefault();
@@ -298,7 +298,7 @@ class NavigationManager {
         // Handle direct hash navigation on page load
         if (window.location.hash) {
             setTimeout(() => {
-                const targetElement = document.querySelector(window.location.hash);
+                const targetElement = document.getElementById(window.location.hash.substring(1));
                 if (targetElement) {
                     this.scrollToElement(targetElement);
                 }
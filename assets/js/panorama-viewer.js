@@ -0,0 +1,669 @@
+/**
+ * Panorama Viewer
+ * 360° viewer for equirectangular photos with drag-to-look, pinch/wheel/keyboard zoom and gyroscope on mobile.
+ * Renders with WebGL when the GPU accelerates it, otherwise ray-casts in software onto a 2D canvas.
+ */
+
+class PanoramaViewer {
+    constructor(container, src, options = {}) {
+        this.container = container;
+        this.src = src;
+
+        this.options = {
+            // Initial view, in degrees
+            yaw: 0,
+            pitch: 0,
+            fov: 75,
+            minFov: 30,
+            maxFov: 100,
+            maxPitch: 85,
+            // Degrees per arrow key press
+            keyStep: 5,
+            // 'auto', 'webgl' or 'canvas'
+            renderer: 'auto',
+            // Longest texture edge for the software renderer
+            maxCanvasTexture: 2048,
+            // Momentum decay per 16ms frame
+            friction: 0.9,
+            label: '360° panorama',
+            onError: null,
+            ...options
+        };
+
+        this.yaw = this.options.yaw;
+        this.pitch = this.options.pitch;
+        this.fov = this.options.fov;
+
+        this.pointers = new Map();
+        this.gesture = null;
+        this.velocity = { yaw: 0, pitch: 0 };
+        this.frame = null;
+        this.momentumFrame = null;
+        this.refineTimer = null;
+        this.isInteracting = false;
+        this.gyro = null;
+        this.renderer = null;
+        this.destroyed = false;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleControlClick = this.handleControlClick.bind(this);
+        this.handleOrientation = this.handleOrientation.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Whether gyroscope look-around can be offered on this device
+     */
+    static supportsGyroscope() {
+        return 'DeviceOrientationEvent' in window &&
+            window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+    }
+
+    init() {
+        this.container.classList.add('panorama-viewer', 'is-loading');
+        this.container.tabIndex = 0;
+        this.container.setAttribute('role', 'application');
+        this.container.setAttribute('aria-roledescription', '360° panorama');
+        this.container.setAttribute('aria-label',
+            `${this.options.label}. Drag or use the arrow keys to look around, plus and minus to zoom.`);
+
+        this.container.innerHTML = `
+            <canvas class="panorama-canvas"></canvas>
+            <div class="panorama-controls">
+                <button type="button" class="panorama-control" data-panorama-action="zoom-in" aria-label="Zoom in">
+                    <i class="fas fa-plus"></i>
+                </button>
+                <button type="button" class="panorama-control" data-panorama-action="zoom-out" aria-label="Zoom out">
+                    <i class="fas fa-minus"></i>
+                </button>
+                ${PanoramaViewer.supportsGyroscope() ? `
+                <button type="button" class="panorama-control" data-panorama-action="gyro" aria-pressed="false" aria-label="Look around by moving your phone">
+                    <i class="fas fa-mobile-alt"></i>
+                </button>` : ''}
+            </div>
+            <span class="panorama-badge" aria-hidden="true">360°</span>
+        `;
+
+        this.canvas = this.container.querySelector('.panorama-canvas');
+        this.controls = this.container.querySelector('.panorama-controls');
+
+        this.container.addEventListener('pointerdown', this.handlePointerDown);
+        this.container.addEventListener('pointermove', this.handlePointerMove);
+        this.container.addEventListener('pointerup', this.handlePointerUp);
+        this.container.addEventListener('pointercancel', this.handlePointerUp);
+        this.container.addEventListener('wheel', this.handleWheel, { passive: false });
+        this.container.addEventListener('keydown', this.handleKeydown);
+        this.controls.addEventListener('click', this.handleControlClick);
+
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(this.container);
+        }
+
+        this.load();
+    }
+
+    async load() {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.src = this.src;
+
+        try {
+            await image.decode();
+        } catch (error) {
+            this.fail(new Error(`Panorama failed to load: ${this.src}`));
+            return;
+        }
+        if (this.destroyed) return;
+
+        try {
+            this.renderer = this.createRenderer(image);
+        } catch (error) {
+            this.fail(error);
+            return;
+        }
+
+        this.container.classList.remove('is-loading');
+        this.container.dataset.renderer = this.renderer.type;
+        this.resize();
+    }
+
+    fail(error) {
+        console.error(error);
+        this.container.classList.remove('is-loading');
+        this.container.classList.add('has-error');
+        this.canvas.hidden = true;
+
+        const message = document.createElement('p');
+        message.className = 'panorama-error';
+        message.textContent = 'This panorama could not be displayed.';
+        this.container.appendChild(message);
+
+        if (typeof this.options.onError === 'function') {
+            this.options.onError(error);
+        }
+    }
+
+    createRenderer(image) {
+        const mode = this.options.renderer;
+
+        if (mode !== 'canvas') {
+            // Software-emulated WebGL is slower than our own ray-caster, so only take a hardware context
+            const gl = this.canvas.getContext('webgl', {
+                failIfMajorPerformanceCaveat: mode === 'auto',
+                antialias: false,
+                alpha: false
+            });
+            if (gl) {
+                try {
+                    return this.createWebGLRenderer(gl, image);
+                } catch (error) {
+                    console.warn('WebGL panorama failed, using the software renderer:', error);
+
+                    // A canvas keeps its first context type, so the 2D renderer needs a fresh one
+                    const canvas = document.createElement('canvas');
+                    canvas.className = this.canvas.className;
+                    this.canvas.replaceWith(canvas);
+                    this.canvas = canvas;
+                }
+            }
+        }
+
+        return this.createCanvasRenderer(image);
+    }
+
+    /**
+     * Camera basis vectors for the current view
+     */
+    getBasis() {
+        const yaw = this.yaw * Math.PI / 180;
+        const pitch = this.pitch * Math.PI / 180;
+        const halfHeight = Math.tan(this.fov * Math.PI / 360);
+        const aspect = this.canvas.width / Math.max(this.canvas.height, 1);
+
+        return {
+            forward: [Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), Math.cos(yaw) * Math.cos(pitch)],
+            right: [Math.cos(yaw), 0, -Math.sin(yaw)],
+            up: [-Math.sin(yaw) * Math.sin(pitch), Math.cos(pitch), -Math.cos(yaw) * Math.sin(pitch)],
+            scaleX: halfHeight * aspect,
+            scaleY: halfHeight
+        };
+    }
+
+    createWebGLRenderer(gl, image) {
+        const vertexSource = `
+            attribute vec2 aPosition;
+            varying vec2 vPosition;
+            void main() {
+                vPosition = aPosition;
+                gl_Position = vec4(aPosition, 0.0, 1.0);
+            }
+        `;
+
+        // Cast a ray per pixel and look up its longitude/latitude in the equirectangular texture
+        const fragmentSource = `
+            precision highp float;
+            uniform sampler2D uTexture;
+            uniform vec3 uForward;
+            uniform vec3 uRight;
+            uniform vec3 uUp;
+            uniform vec2 uScale;
+            varying vec2 vPosition;
+            const float PI = 3.14159265359;
+            void main() {
+                vec3 ray = uForward + vPosition.x * uScale.x * uRight + vPosition.y * uScale.y * uUp;
+                float longitude = atan(ray.x, ray.z);
+                float latitude = atan(ray.y, length(ray.xz));
+                gl_FragColor = texture2D(uTexture, vec2(longitude / (2.0 * PI) + 0.5, 0.5 - latitude / PI));
+            }
+        `;
+
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`Panorama shader error: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Panorama program error: ${gl.getProgramInfoLog(program)}`);
+        }
+        gl.useProgram(program);
+
+        // One triangle strip covering the viewport
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        const position = gl.getAttribLocation(program, 'aPosition');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+        // Non-power-of-two textures need clamping and no mipmaps in WebGL 1
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB, gl.RGB, gl.UNSIGNED_BYTE,
+            this.fitTexture(image, gl.getParameter(gl.MAX_TEXTURE_SIZE)));
+
+        const uniforms = ['uForward', 'uRight', 'uUp', 'uScale'].reduce((locations, name) => {
+            locations[name] = gl.getUniformLocation(program, name);
+            return locations;
+        }, {});
+
+        return {
+            type: 'webgl',
+            // Full device resolution, the GPU doesn't care
+            pixelRatio: Math.min(window.devicePixelRatio || 1, 2),
+            render: () => {
+                const basis = this.getBasis();
+                gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+                gl.uniform3fv(uniforms.uForward, basis.forward);
+                gl.uniform3fv(uniforms.uRight, basis.right);
+                gl.uniform3fv(uniforms.uUp, basis.up);
+                gl.uniform2f(uniforms.uScale, basis.scaleX, basis.scaleY);
+                gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            },
+            destroy: () => {
+                gl.deleteTexture(texture);
+                gl.deleteBuffer(buffer);
+                gl.deleteProgram(program);
+            }
+        };
+    }
+
+    /**
+     * Scale an image down so its longest edge fits maxSize, returning the image itself when it already does
+     */
+    fitTexture(image, maxSize) {
+        const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+        if (scale === 1) return image;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(image.naturalWidth * scale);
+        canvas.height = Math.floor(image.naturalHeight * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    createCanvasRenderer(image) {
+        const source = this.fitTexture(image, this.options.maxCanvasTexture);
+        const sourceCanvas = document.createElement('canvas');
+        sourceCanvas.width = source.width || source.naturalWidth;
+        sourceCanvas.height = source.height || source.naturalHeight;
+
+        const sourceContext = sourceCanvas.getContext('2d');
+        sourceContext.drawImage(source, 0, 0, sourceCanvas.width, sourceCanvas.height);
+
+        // Throws for cross-origin images served without CORS headers
+        const texels = new Uint32Array(sourceContext.getImageData(0, 0, sourceCanvas.width, sourceCanvas.height).data.buffer);
+        const textureWidth = sourceCanvas.width;
+        const textureHeight = sourceCanvas.height;
+
+        const context = this.canvas.getContext('2d');
+        const frameCanvas = document.createElement('canvas');
+        const frameContext = frameCanvas.getContext('2d');
+
+        return {
+            type: 'canvas',
+            pixelRatio: 1,
+            render: () => {
+                // Ray-cast a smaller frame while the view is moving, then sharpen once it settles
+                const quality = this.isInteracting ? 0.35 : 0.75;
+                const width = Math.max(1, Math.round(this.canvas.width * quality));
+                const height = Math.max(1, Math.round(this.canvas.height * quality));
+
+                if (frameCanvas.width !== width || frameCanvas.height !== height) {
+                    frameCanvas.width = width;
+                    frameCanvas.height = height;
+                }
+
+                const frame = frameContext.createImageData(width, height);
+                const pixels = new Uint32Array(frame.data.buffer);
+                const { forward, right, up, scaleX, scaleY } = this.getBasis();
+                const uScale = textureWidth / (2 * Math.PI);
+                const vScale = textureHeight / Math.PI;
+
+                for (let y = 0; y < height; y++) {
+                    const sy = (1 - 2 * (y + 0.5) / height) * scaleY;
+                    const rowX = forward[0] + sy * up[0];
+                    const rowY = forward[1] + sy * up[1];
+                    const rowZ = forward[2] + sy * up[2];
+
+                    for (let x = 0; x < width; x++) {
+                        const sx = (2 * (x + 0.5) / width - 1) * scaleX;
+                        const dx = rowX + sx * right[0];
+                        const dy = rowY;
+                        const dz = rowZ + sx * right[2];
+
+                        const longitude = Math.atan2(dx, dz);
+                        const latitude = Math.atan2(dy, Math.sqrt(dx * dx + dz * dz));
+
+                        let u = Math.floor((longitude + Math.PI) * uScale);
+                        let v = Math.floor((Math.PI / 2 - latitude) * vScale);
+                        if (u >= textureWidth) u = textureWidth - 1;
+                        if (v >= textureHeight) v = textureHeight - 1;
+
+                        pixels[y * width + x] = texels[v * textureWidth + u];
+                    }
+                }
+
+                frameContext.putImageData(frame, 0, 0);
+                context.imageSmoothingEnabled = true;
+                context.drawImage(frameCanvas, 0, 0, this.canvas.width, this.canvas.height);
+            },
+            destroy: () => {}
+        };
+    }
+
+    resize() {
+        if (!this.renderer) return;
+
+        const ratio = this.renderer.pixelRatio;
+        const width = Math.round(this.container.clientWidth * ratio);
+        const height = Math.round(this.container.clientHeight * ratio);
+        if (!width || !height) return;
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.requestRender();
+    }
+
+    requestRender() {
+        if (this.frame || !this.renderer || this.destroyed) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            if (this.renderer) {
+                this.renderer.render();
+            }
+        });
+    }
+
+    /**
+     * Point the camera, clamping pitch and zoom and wrapping yaw
+     */
+    setView({ yaw = this.yaw, pitch = this.pitch, fov = this.fov } = {}) {
+        this.yaw = ((yaw % 360) + 360) % 360;
+        this.pitch = Math.min(this.options.maxPitch, Math.max(-this.options.maxPitch, pitch));
+        this.fov = Math.min(this.options.maxFov, Math.max(this.options.minFov, fov));
+        this.requestRender();
+    }
+
+    zoomBy(factor) {
+        this.setView({ fov: this.fov * factor });
+    }
+
+    /**
+     * Drop to the low-quality software frame while moving and refine shortly after
+     */
+    setInteracting(isInteracting) {
+        clearTimeout(this.refineTimer);
+
+        if (isInteracting) {
+            this.isInteracting = true;
+            return;
+        }
+
+        this.refineTimer = setTimeout(() => {
+            this.isInteracting = false;
+            this.requestRender();
+        }, 150);
+    }
+
+    handlePointerDown(e) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        if (!this.renderer || e.target.closest('button')) return;
+
+        this.stopMomentum();
+        this.container.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.container.classList.add('is-dragging');
+        this.setInteracting(true);
+
+        if (this.pointers.size === 2) {
+            const [first, second] = Array.from(this.pointers.values());
+            this.gesture = {
+                type: 'pinch',
+                startDistance: Math.hypot(second.x - first.x, second.y - first.y) || 1,
+                startFov: this.fov
+            };
+        } else if (this.pointers.size === 1) {
+            this.gesture = { type: 'look', lastX: e.clientX, lastY: e.clientY, lastTime: e.timeStamp };
+            this.velocity = { yaw: 0, pitch: 0 };
+        }
+    }
+
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+
+        e.preventDefault();
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.gesture.type === 'pinch' && this.pointers.size >= 2) {
+            const [first, second] = Array.from(this.pointers.values());
+            const distance = Math.hypot(second.x - first.x, second.y - first.y) || 1;
+            this.setView({ fov: this.gesture.startFov * this.gesture.startDistance / distance });
+            return;
+        }
+
+        if (this.gesture.type !== 'look') return;
+
+        // Drag the scene: one screen height of travel turns the view by one field of view
+        const degreesPerPixel = this.fov / (this.container.clientHeight || 1);
+        const deltaYaw = -(e.clientX - this.gesture.lastX) * degreesPerPixel;
+        const deltaPitch = (e.clientY - this.gesture.lastY) * degreesPerPixel;
+        const elapsed = Math.max(e.timeStamp - this.gesture.lastTime, 1);
+
+        this.velocity = { yaw: deltaYaw / elapsed * 16, pitch: deltaPitch / elapsed * 16 };
+        this.gesture.lastX = e.clientX;
+        this.gesture.lastY = e.clientY;
+        this.gesture.lastTime = e.timeStamp;
+
+        this.setView({ yaw: this.yaw + deltaYaw, pitch: this.pitch + deltaPitch });
+    }
+
+    handlePointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+
+        this.pointers.delete(e.pointerId);
+        if (this.pointers.size) {
+            // Lifting one finger of a pinch continues as a look from the other
+            const [remaining] = Array.from(this.pointers.values());
+            this.gesture = { type: 'look', lastX: remaining.x, lastY: remaining.y, lastTime: e.timeStamp };
+            this.velocity = { yaw: 0, pitch: 0 };
+            return;
+        }
+
+        const wasLooking = this.gesture && this.gesture.type === 'look';
+        this.gesture = null;
+        this.container.classList.remove('is-dragging');
+
+        if (wasLooking && !BrowserUtils.prefersReducedMotion()) {
+            this.startMomentum();
+        } else {
+            this.setInteracting(false);
+        }
+    }
+
+    startMomentum() {
+        const step = () => {
+            this.velocity.yaw *= this.options.friction;
+            this.velocity.pitch *= this.options.friction;
+
+            if (Math.abs(this.velocity.yaw) < 0.01 && Math.abs(this.velocity.pitch) < 0.01) {
+                this.momentumFrame = null;
+                this.setInteracting(false);
+                return;
+            }
+
+            this.setView({ yaw: this.yaw + this.velocity.yaw, pitch: this.pitch + this.velocity.pitch });
+            this.momentumFrame = requestAnimationFrame(step);
+        };
+
+        this.momentumFrame = requestAnimationFrame(step);
+    }
+
+    stopMomentum() {
+        if (this.momentumFrame) {
+            cancelAnimationFrame(this.momentumFrame);
+            this.momentumFrame = null;
+        }
+    }
+
+    handleWheel(e) {
+        if (!this.renderer) return;
+        e.preventDefault();
+
+        this.setInteracting(true);
+        this.zoomBy(Math.exp(e.deltaY * 0.001));
+        this.setInteracting(false);
+    }
+
+    handleKeydown(e) {
+        if (e.target.closest('button')) return;
+
+        const step = this.options.keyStep;
+        const actions = {
+            ArrowLeft: () => this.setView({ yaw: this.yaw - step }),
+            ArrowRight: () => this.setView({ yaw: this.yaw + step }),
+            ArrowUp: () => this.setView({ pitch: this.pitch + step }),
+            ArrowDown: () => this.setView({ pitch: this.pitch - step }),
+            '+': () => this.zoomBy(0.9),
+            '=': () => this.zoomBy(0.9),
+            '-': () => this.zoomBy(1 / 0.9),
+            '_': () => this.zoomBy(1 / 0.9)
+        };
+
+        const action = actions[e.key];
+        if (!action) return;
+
+        // Arrow keys here look around instead of changing the gallery image
+        e.preventDefault();
+        e.stopPropagation();
+        action();
+    }
+
+    handleControlClick(e) {
+        const button = e.target.closest('[data-panorama-action]');
+        if (!button) return;
+
+        switch (button.dataset.panoramaAction) {
+            case 'zoom-in':
+                this.zoomBy(0.8);
+                break;
+            case 'zoom-out':
+                this.zoomBy(1 / 0.8);
+                break;
+            case 'gyro':
+                this.toggleGyroscope(button);
+                break;
+        }
+    }
+
+    async toggleGyroscope(button) {
+        if (this.gyro) {
+            this.stopGyroscope();
+        } else {
+            // iOS asks for permission, and only from a tap
+            if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+                try {
+                    const permission = await DeviceOrientationEvent.requestPermission();
+                    if (permission !== 'granted') return;
+                } catch (error) {
+                    console.warn('Motion access denied:', error);
+                    return;
+                }
+            }
+
+            this.gyro = { yawOffset: null };
+            window.addEventListener('deviceorientation', this.handleOrientation);
+        }
+
+        button.setAttribute('aria-pressed', String(Boolean(this.gyro)));
+        button.classList.toggle('active', Boolean(this.gyro));
+    }
+
+    stopGyroscope() {
+        window.removeEventListener('deviceorientation', this.handleOrientation);
+        this.gyro = null;
+    }
+
+    /**
+     * Look where the back of the phone points; the first reading keeps the current heading
+     */
+    handleOrientation(e) {
+        if (!this.gyro || e.alpha === null || e.beta === null || e.gamma === null) return;
+
+        const toRadians = Math.PI / 180;
+        const alpha = e.alpha * toRadians;
+        const beta = e.beta * toRadians;
+        const gamma = e.gamma * toRadians;
+
+        // The device's -Z axis in earth coordinates (x east, y north, z up), from the Z-X'-Y'' angles
+        const east = -Math.cos(alpha) * Math.sin(gamma) - Math.sin(alpha) * Math.sin(beta) * Math.cos(gamma);
+        const north = -Math.sin(alpha) * Math.sin(gamma) + Math.cos(alpha) * Math.sin(beta) * Math.cos(gamma);
+        const up = -Math.cos(beta) * Math.cos(gamma);
+
+        const heading = Math.atan2(east, north) / toRadians;
+        const pitch = Math.asin(Math.max(-1, Math.min(1, up))) / toRadians;
+
+        if (this.gyro.yawOffset === null) {
+            this.gyro.yawOffset = this.yaw - heading;
+        }
+
+        this.setView({ yaw: heading + this.gyro.yawOffset, pitch });
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.stopMomentum();
+        this.stopGyroscope();
+        clearTimeout(this.refineTimer);
+
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        if (this.renderer) {
+            this.renderer.destroy();
+            this.renderer = null;
+        }
+
+        this.container.removeEventListener('pointerdown', this.handlePointerDown);
+        this.container.removeEventListener('pointermove', this.handlePointerMove);
+        this.container.removeEventListener('pointerup', this.handlePointerUp);
+        this.container.removeEventListener('pointercancel', this.handlePointerUp);
+        this.container.removeEventListener('wheel', this.handleWheel);
+        this.container.removeEventListener('keydown', this.handleKeydown);
+        this.controls.removeEventListener('click', this.handleControlClick);
+
+        this.container.innerHTML = '';
+        this.container.classList.remove('panorama-viewer', 'is-loading', 'is-dragging', 'has-error');
+        ['tabindex', 'role', 'aria-roledescription', 'aria-label', 'data-renderer'].forEach(attribute => {
+            this.container.removeAttribute(attribute);
+        });
+    }
+}
+
+// Export for global access
+window.PanoramaViewer = PanoramaViewer;
@@ -0,0 +1,358 @@
+/**
+ * Portfolio Catalog
+ * Loads the versioned portfolio.json catalog, validates it against the project schema
+ * and pages through the projects endpoint (or the local catalog standing in for it)
+ */
+
+const PortfolioSchema = {
+    // Catalog format version this build understands
+    version: 1,
+
+    categories: ['residential', 'commercial', 'retail', 'renovation'],
+
+    // Field rules for a single project entry
+    project: {
+        id: { type: 'string', required: true, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ },
+        title: { type: 'string', required: true },
+        category: { type: 'string', required: true, oneOf: 'categories' },
+        location: { type: 'string', required: true },
+        budget: { type: 'string', required: true },
+        duration: { type: 'string', required: true },
+        year: { type: 'string', required: true, pattern: /^\d{4}$/ },
+        summary: { type: 'string' },
+        description: { type: 'string' },
+        client: { type: 'string' },
+        area: { type: 'string' },
+        featured: { type: 'boolean' },
+        features: { type: 'array', items: { type: 'string' } },
+        images: { type: 'array', required: true, minItems: 1, items: { type: 'string' } },
+        // Optional caption per image, in the same order as images
+        captions: { type: 'array', items: { type: 'string' } },
+        beforeAfter: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    before: { type: 'string', required: true },
+                    after: { type: 'string', required: true },
+                    caption: { type: 'string' }
+                }
+            }
+        },
+        // Walkthrough videos, shown in the gallery after the photos
+        videos: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    // One entry per format, e.g. WebM then MP4; the browser plays the first it supports
+                    sources: {
+                        type: 'array',
+                        required: true,
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                src: { type: 'string', required: true },
+                                type: { type: 'string' }
+                            }
+                        }
+                    },
+                    poster: { type: 'string', required: true },
+                    caption: { type: 'string' },
+                    // WebVTT captions
+                    track: {
+                        type: 'object',
+                        properties: {
+                            src: { type: 'string', required: true },
+                            srclang: { type: 'string' },
+                            label: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        },
+        // Equirectangular 360° photos (2:1), shown in the gallery after the photos
+        panoramas: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    src: { type: 'string', required: true },
+                    caption: { type: 'string' },
+                    // Initial viewing direction in degrees, 0 being the centre of the image
+                    yaw: { type: 'number' }
+                }
+            }
+        },
+        // Material/product notes pinned to a photo; x and y run from 0 to 1 across and down the image
+        hotspots: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    // Index into images
+                    image: { type: 'number', required: true, integer: true, min: 0 },
+                    x: { type: 'number', required: true, min: 0, max: 1 },
+                    y: { type: 'number', required: true, min: 0, max: 1 },
+                    label: { type: 'string', required: true },
+                    detail: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const PortfolioCatalog = {
+    /**
+     * Fetch and validate a catalog
+     */
+    async load(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+
+        if (!response.ok) {
+            throw new Error(`Portfolio catalog error: ${response.status}`);
+        }
+
+        const catalog = await response.json();
+        const result = this.validate(catalog);
+
+        if (!result.valid) {
+            throw new Error(`Invalid portfolio catalog: ${result.errors.join('; ')}`);
+        }
+
+        // Individual bad projects are skipped rather than failing the whole grid
+        result.errors.forEach(error => console.warn('Portfolio catalog:', error));
+
+        return result;
+    },
+
+    /**
+     * Create a paged project source
+     * Uses the projects endpoint when one is configured, otherwise pages through the local catalog
+     */
+    createSource({ endpoint, catalogUrl, pageSize, timeout }) {
+        return endpoint
+            ? new RemoteProjectSource(endpoint, pageSize, timeout)
+            : new LocalProjectSource(catalogUrl, pageSize);
+    },
+
+    /**
+     * Numeric values parsed from a project's display strings, used for filtering and sorting
+     */
+    deriveMetrics(project) {
+        return {
+            budget: FormatUtils.parseCurrency(project.budget),
+            area: FormatUtils.parseArea(project.area),
+            duration: FormatUtils.parseDuration(project.duration),
+            year: parseInt(project.year, 10),
+            locality: project.location.split(',')[0].trim()
+        };
+    },
+
+    /**
+     * Validate a parsed catalog
+     * Returns { valid, version, errors, projects } where projects holds only valid entries
+     */
+    validate(catalog) {
+        const errors = [];
+
+        if (!DataUtils.isObject(catalog)) {
+            return { valid: false, version: null, errors: ['catalog must be an object'], projects: [] };
+        }
+
+        if (catalog.version !== PortfolioSchema.version) {
+            errors.push(`unsupported catalog version "${catalog.version}" (expected ${PortfolioSchema.version})`);
+        }
+
+        if (!Array.isArray(catalog.projects)) {
+            errors.push('"projects" must be an array');
+        }
+
+        if (errors.length) {
+            return { valid: false, version: catalog.version, errors, projects: [] };
+        }
+
+        const seenIds = new Set();
+        const projects = [];
+
+        catalog.projects.forEach((project, index) => {
+            const label = project && project.id ? `project "${project.id}"` : `project #${index + 1}`;
+            const projectErrors = this.validateProject(project, label);
+
+            if (!projectErrors.length && seenIds.has(project.id)) {
+                projectErrors.push(`${label}: duplicate id`);
+            }
+
+            if (projectErrors.length) {
+                errors.push(...projectErrors);
+                return;
+            }
+
+            seenIds.add(project.id);
+            projects.push(project);
+        });
+
+        return { valid: true, version: catalog.version, errors, projects };
+    },
+
+    /**
+     * Validate one project entry, returning a list of error messages
+     */
+    validateProject(project, label) {
+        if (!DataUtils.isObject(project)) {
+            return [`${label}: must be an object`];
+        }
+
+        const errors = [];
+        Object.entries(PortfolioSchema.project).forEach(([field, rule]) => {
+            this.validateValue(project[field], rule, `${label}.${field}`, errors);
+        });
+
+        // A hotspot on a photo the project doesn't have would never be shown
+        if (!errors.length && project.hotspots) {
+            project.hotspots.forEach((hotspot, index) => {
+                if (hotspot.image >= project.images.length) {
+                    errors.push(`${label}.hotspots[${index}].image: ${hotspot.image} is out of range (${project.images.length} image(s))`);
+                }
+            });
+        }
+
+        return errors;
+    },
+
+    /**
+     * Check a value against a field rule, collecting errors
+     */
+    validateValue(value, rule, path, errors) {
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push(`${path}: is required`);
+            }
+            return;
+        }
+
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (actualType !== rule.type) {
+            errors.push(`${path}: expected ${rule.type}, got ${actualType}`);
+            return;
+        }
+
+        if (rule.type === 'string') {
+            if (rule.required && ValidationUtils.isEmpty(value)) {
+                errors.push(`${path}: must not be empty`);
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                errors.push(`${path}: "${value}" has an invalid format`);
+            }
+            if (rule.oneOf && !PortfolioSchema[rule.oneOf].includes(value)) {
+                errors.push(`${path}: "${value}" must be one of ${PortfolioSchema[rule.oneOf].join(', ')}`);
+            }
+        }
+
+        if (rule.type === 'number') {
+            if (Number.isNaN(value)) {
+                errors.push(`${path}: must be a number`);
+            } else if (rule.integer && !Number.isInteger(value)) {
+                errors.push(`${path}: ${value} must be a whole number`);
+            } else if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                errors.push(`${path}: ${value} is out of range`);
+            }
+        }
+
+        if (rule.type === 'array') {
+            if (rule.minItems && value.length < rule.minItems) {
+                errors.push(`${path}: needs at least ${rule.minItems} item(s)`);
+            }
+            if (rule.items) {
+                value.forEach((item, index) => {
+                    this.validateValue(item, { required: true, ...rule.items }, `${path}[${index}]`, errors);
+                });
+            }
+        }
+
+        if (rule.type === 'object' && rule.properties) {
+            Object.entries(rule.properties).forEach(([key, propertyRule]) => {
+                this.validateValue(value[key], propertyRule, `${path}.${key}`, errors);
+            });
+        }
+    }
+};
+
+/**
+ * Pages through a projects endpoint
+ * GET {endpoint}?limit=6&cursor=... responds with { version, projects, nextCursor }
+ * A missing or null nextCursor marks the end of the list
+ */
+class RemoteProjectSource {
+    constructor(endpoint, pageSize = 6, timeout = 8000) {
+        this.endpoint = endpoint;
+        this.pageSize = pageSize;
+        this.timeout = timeout;
+    }
+
+    async fetchPage(cursor = null) {
+        const url = new URL(this.endpoint, window.location.href);
+        url.searchParams.set('limit', this.pageSize);
+        if (cursor) {
+            url.searchParams.set('cursor', cursor);
+        }
+
+        const response = await NetworkUtils.fetchWithTimeout(url.toString(), {
+            headers: { 'Accept': 'application/json' }
+        }, this.timeout);
+
+        if (!response.ok) {
+            throw new Error(`Projects endpoint error: ${response.status}`);
+        }
+
+        const page = await response.json();
+        const result = PortfolioCatalog.validate(page);
+
+        if (!result.valid) {
+            throw new Error(`Invalid projects page: ${result.errors.join('; ')}`);
+        }
+
+        result.errors.forEach(error => console.warn('Portfolio catalog:', error));
+
+        return {
+            projects: result.projects,
+            nextCursor: page.nextCursor || null
+        };
+    }
+}
+
+/**
+ * Local stand-in for the projects endpoint
+ * Loads portfolio.json once and serves it in pages, using the offset as the cursor
+ */
+class LocalProjectSource {
+    constructor(catalogUrl, pageSize = 6) {
+        this.catalogUrl = catalogUrl;
+        this.pageSize = pageSize;
+        this.catalogPromise = null;
+    }
+
+    async fetchPage(cursor = null) {
+        if (!this.catalogPromise) {
+            this.catalogPromise = PortfolioCatalog.load(this.catalogUrl).catch(error => {
+                // Allow a retry to fetch the catalog again
+                this.catalogPromise = null;
+                throw error;
+            });
+        }
+
+        const { projects } = await this.catalogPromise;
+        const start = parseInt(cursor, 10) || 0;
+        const end = start + this.pageSize;
+
+        return {
+            projects: projects.slice(start, end),
+            nextCursor: end < projects.length ? String(end) : null
+        };
+    }
+}
+
+// Export for global access
+window.PortfolioSchema = PortfolioSchema;
+window.PortfolioCatalog = PortfolioCatalog;
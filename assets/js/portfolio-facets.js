@@ -0,0 +1,207 @@
+/**
+ * Portfolio Facets
+ * Facet definitions, matching, live counts and URL encoding for combinable portfolio filters
+ */
+
+const PortfolioFacets = {
+    // Order here is the order of the filter panel. Range bands include min and exclude max
+    definitions: [
+        {
+            key: 'category',
+            param: 'filter',
+            label: 'Category',
+            type: 'value'
+        },
+        {
+            key: 'budget',
+            param: 'budget',
+            label: 'Budget',
+            anyLabel: 'Any budget',
+            type: 'range',
+            metric: 'budget',
+            bands: [
+                { id: 'under-5l', label: 'Under ₹5L', max: 500000 },
+                { id: '5l-10l', label: '₹5L – ₹10L', min: 500000, max: 1000000 },
+                { id: '10l-15l', label: '₹10L – ₹15L', min: 1000000, max: 1500000 },
+                { id: 'above-15l', label: '₹15L and above', min: 1500000 }
+            ]
+        },
+        {
+            key: 'area',
+            param: 'area',
+            label: 'Area',
+            anyLabel: 'Any area',
+            type: 'range',
+            metric: 'area',
+            bands: [
+                { id: 'under-1000', label: 'Under 1,000 sq ft', max: 1000 },
+                { id: '1000-2000', label: '1,000 – 2,000 sq ft', min: 1000, max: 2000 },
+                { id: 'above-2000', label: '2,000 sq ft and above', min: 2000 }
+            ]
+        },
+        {
+            key: 'duration',
+            param: 'duration',
+            label: 'Duration',
+            anyLabel: 'Any duration',
+            type: 'range',
+            metric: 'duration',
+            bands: [
+                { id: 'under-45d', label: 'Under 45 days', max: 45 },
+                { id: '45-75d', label: '45 – 75 days', min: 45, max: 75 },
+                { id: 'above-75d', label: '75 days and above', min: 75 }
+            ]
+        },
+        {
+            key: 'year',
+            param: 'year',
+            label: 'Year',
+            anyLabel: 'Any year',
+            type: 'value',
+            metric: 'year'
+        },
+        {
+            key: 'locality',
+            param: 'locality',
+            label: 'Locality',
+            anyLabel: 'Anywhere in Kolkata',
+            type: 'value',
+            metric: 'locality'
+        }
+    ],
+
+    /**
+     * Empty selection, one entry per facet
+     */
+    createEmptySelection() {
+        return this.definitions.reduce((selection, facet) => {
+            selection[facet.key] = null;
+            return selection;
+        }, {});
+    },
+
+    /**
+     * The option id a project falls under for a facet, or null
+     */
+    getOptionId(project, facet) {
+        if (facet.key === 'category') {
+            return project.category;
+        }
+
+        const value = project.metrics ? project.metrics[facet.metric] : null;
+        if (value === null || value === undefined || Number.isNaN(value)) {
+            return null;
+        }
+
+        if (facet.type === 'range') {
+            const band = facet.bands.find(band =>
+                (band.min === undefined || value >= band.min) &&
+                (band.max === undefined || value < band.max)
+            );
+            return band ? band.id : null;
+        }
+
+        return FormatUtils.toSlug(String(value));
+    },
+
+    /**
+     * Options for a facet, with labels, drawn from bands or from the loaded projects
+     */
+    getOptions(facet, projects) {
+        if (facet.type === 'range') {
+            return facet.bands.map(band => ({ id: band.id, label: band.label }));
+        }
+
+        const options = new Map();
+        projects.forEach(project => {
+            const id = this.getOptionId(project, facet);
+            if (id && !options.has(id)) {
+                const label = facet.key === 'category' ? project.category : String(project.metrics[facet.metric]);
+                options.set(id, { id, label });
+            }
+        });
+
+        const sorted = Array.from(options.values()).sort((a, b) => a.label.localeCompare(b.label));
+        // Newest year first
+        return facet.key === 'year' ? sorted.reverse() : sorted;
+    },
+
+    /**
+     * Whether a project matches every active facet, optionally ignoring one facet
+     */
+    matches(project, selection, ignoreKey = null) {
+        return this.definitions.every(facet => {
+            if (facet.key === ignoreKey || !selection[facet.key]) return true;
+            return this.getOptionId(project, facet) === selection[facet.key];
+        });
+    },
+
+    /**
+     * Live counts: for each facet option, how many projects would match if it were chosen
+     * Returns { facetKey: { all: n, optionId: n, ... } }
+     */
+    countOptions(projects, selection) {
+        const counts = {};
+
+        this.definitions.forEach(facet => {
+            const facetCounts = { all: 0 };
+
+            projects.forEach(project => {
+                if (!this.matches(project, selection, facet.key)) return;
+
+                facetCounts.all++;
+                const id = this.getOptionId(project, facet);
+                if (id) {
+                    facetCounts[id] = (facetCounts[id] || 0) + 1;
+                }
+            });
+
+            counts[facet.key] = facetCounts;
+        });
+
+        return counts;
+    },
+
+    /**
+     * Read a selection from URL search params, dropping unknown categories and bands
+     */
+    fromQuery(params) {
+        const selection = this.createEmptySelection();
+
+        this.definitions.forEach(facet => {
+            const value = params.get(facet.param);
+            if (!value || value === 'all') return;
+
+            if (facet.key === 'category' && !PortfolioSchema.categories.includes(value)) return;
+            if (facet.type === 'range' && !facet.bands.some(band => band.id === value)) return;
+
+            selection[facet.key] = value;
+        });
+
+        return selection;
+    },
+
+    /**
+     * Write a selection into a URL's search params
+     */
+    toQuery(selection, url) {
+        this.definitions.forEach(facet => {
+            if (selection[facet.key]) {
+                url.searchParams.set(facet.param, selection[facet.key]);
+            } else {
+                url.searchParams.delete(facet.param);
+            }
+        });
+        return url;
+    },
+
+    /**
+     * Whether any facet is active
+     */
+    isActive(selection) {
+        return this.definitions.some(facet => Boolean(selection[facet.key]));
+    }
+};
+
+// Export for global access
+window.PortfolioFacets = PortfolioFacets;
@@ -0,0 +1,501 @@
+/**
+ * Portfolio Map
+ * Plots projects by locality on the bundled SVG map of Kolkata neighbourhoods, clustering markers
+ * that sit close together on screen. Works offline: no tiles, just assets/images/kolkata-map.svg
+ */
+
+class PortfolioMap {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.canvas = container.querySelector('.portfolio-map-canvas');
+        this.preview = container.querySelector('.portfolio-map-preview');
+        this.unplacedNote = container.querySelector('.portfolio-map-unplaced');
+
+        this.options = {
+            mapUrl: 'assets/images/kolkata-map.svg',
+            // Markers closer than this on screen (px) merge into one cluster
+            clusterRadius: 36,
+            // Marker radius on screen (px)
+            markerRadius: 12,
+            maxZoom: 4,
+            onOpenProject: () => {},
+            ...options
+        };
+
+        this.svg = null;
+        this.markerLayer = null;
+        this.localities = new Map();
+        this.projects = [];
+        this.clusters = [];
+        this.baseViewBox = null;
+        this.viewBox = null;
+        this.zoom = 1;
+        this.pinnedCluster = null;
+        this.canvasSize = null;
+        this.drag = null;
+        this.loadPromise = null;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+
+        this.bindEvents();
+    }
+
+    /**
+     * Inline the SVG once so markers share its coordinates
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(this.options.mapUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Map error: ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(markup => {
+                    this.canvas.innerHTML = markup;
+                    this.svg = this.canvas.querySelector('svg');
+                    this.readLocalities();
+
+                    const [x, y, width, height] = this.svg.getAttribute('viewBox').split(/[\s,]+/).map(Number);
+                    this.baseViewBox = { x, y, width, height };
+                    this.viewBox = { ...this.baseViewBox };
+
+                    this.markerLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+                    this.markerLayer.setAttribute('class', 'map-markers');
+                    this.svg.appendChild(this.markerLayer);
+                })
+                .catch(error => {
+                    // Allow a retry next time the map is shown
+                    this.loadPromise = null;
+                    this.canvas.innerHTML = '<p class="portfolio-map-error">The map couldn\'t be loaded. Please try again.</p>';
+                    throw error;
+                });
+        }
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Areas carry their locality slug, aliases and marker point as data attributes
+     */
+    readLocalities() {
+        this.localities.clear();
+
+        this.svg.querySelectorAll('.map-area[data-locality]').forEach(area => {
+            const locality = {
+                id: area.dataset.locality,
+                label: area.dataset.label || area.dataset.locality,
+                x: parseFloat(area.dataset.x),
+                y: parseFloat(area.dataset.y),
+                area
+            };
+
+            [locality.id, ...(area.dataset.aliases || '').split(/\s+/).filter(Boolean)]
+                .forEach(key => this.localities.set(key, locality));
+        });
+    }
+
+    getLocality(project) {
+        const name = project.metrics ? project.metrics.locality : project.location.split(',')[0];
+        return this.localities.get(FormatUtils.toSlug(String(name || ''))) || null;
+    }
+
+    async setProjects(projects) {
+        this.projects = projects;
+
+        try {
+            await this.load();
+        } catch (error) {
+            console.error('Portfolio map:', error);
+            return;
+        }
+
+        this.render();
+    }
+
+    /**
+     * One point per project: the first at its locality's centre, the rest on a spiral around it,
+     * so zooming in separates projects in the same neighbourhood
+     */
+    getProjectPoints() {
+        const counts = new Map();
+        const points = [];
+        const unplaced = [];
+
+        this.projects.forEach(project => {
+            const locality = this.getLocality(project);
+            if (!locality) {
+                unplaced.push(project);
+                return;
+            }
+
+            const index = counts.get(locality.id) || 0;
+            counts.set(locality.id, index + 1);
+
+            const angle = index * 2.4;
+            const distance = index ? 9 * Math.sqrt(index) : 0;
+            points.push({
+                project,
+                locality,
+                x: locality.x + Math.cos(angle) * distance,
+                y: locality.y + Math.sin(angle) * distance
+            });
+        });
+
+        return { points, unplaced };
+    }
+
+    /**
+     * SVG units per screen pixel at the current zoom
+     */
+    getScale() {
+        const width = this.svg.getBoundingClientRect().width;
+        return width ? this.viewBox.width / width : 1 / this.zoom;
+    }
+
+    /**
+     * Greedy clustering in screen space; each cluster sits at the average of its points
+     */
+    cluster(points) {
+        const radius = this.options.clusterRadius * this.getScale();
+        const clusters = [];
+
+        points.forEach(point => {
+            const nearby = clusters.find(cluster => Math.hypot(cluster.x - point.x, cluster.y - point.y) < radius);
+
+            if (nearby) {
+                const count = nearby.points.length;
+                nearby.x = (nearby.x * count + point.x) / (count + 1);
+                nearby.y = (nearby.y * count + point.y) / (count + 1);
+                nearby.points.push(point);
+            } else {
+                clusters.push({ x: point.x, y: point.y, points: [point] });
+            }
+        });
+
+        return clusters;
+    }
+
+    /**
+     * keepPinned moves a pinned preview to the marker nearest its old cluster instead of closing it
+     */
+    render({ keepPinned = false } = {}) {
+        if (!this.svg) return;
+
+        const pinned = keepPinned && this.pinnedCluster !== null ? this.clusters[this.pinnedCluster] : null;
+        const focusedProject = pinned && this.preview.contains(document.activeElement)
+            ? document.activeElement.dataset.projectId
+            : null;
+
+        if (!pinned) {
+            this.hidePreview({ force: true });
+        }
+
+        this.svg.setAttribute('viewBox', `${this.viewBox.x} ${this.viewBox.y} ${this.viewBox.width} ${this.viewBox.height}`);
+
+        const { points, unplaced } = this.getProjectPoints();
+        this.clusters = this.cluster(points);
+
+        // Shade the neighbourhoods we've worked in
+        const worked = new Set(points.map(point => point.locality.id));
+        this.svg.querySelectorAll('.map-area').forEach(area => {
+            area.classList.toggle('has-projects', worked.has(area.dataset.locality));
+        });
+
+        const scale = this.getScale();
+        const radius = this.options.markerRadius;
+
+        this.markerLayer.innerHTML = this.clusters.map((cluster, index) => {
+            const count = cluster.points.length;
+            const label = count === 1
+                ? `${cluster.points[0].project.title}, ${cluster.points[0].locality.label}`
+                : `${count} projects in ${this.getClusterPlaces(cluster)}`;
+
+            // Markers keep the same size on screen at any zoom
+            return `
+                <g class="map-marker${count > 1 ? ' is-cluster' : ''}" data-cluster="${index}"
+                   transform="translate(${cluster.x.toFixed(1)} ${cluster.y.toFixed(1)}) scale(${scale.toFixed(3)})"
+                   tabindex="0" role="button" aria-label="${ValidationUtils.sanitizeHTML(label)}">
+                    <circle r="${count > 1 ? radius + Math.min(count, 10) : radius}"></circle>
+                    ${count > 1
+                        ? `<text dy="0.35em">${count}</text>`
+                        : '<path d="M -4 -5 L 0 -9 L 4 -5 L 4 4 L -4 4 Z"></path>'}
+                </g>
+            `;
+        }).join('');
+
+        if (this.unplacedNote) {
+            this.unplacedNote.hidden = !unplaced.length;
+            this.unplacedNote.innerHTML = unplaced.length
+                ? `Also outside this map: ${unplaced.map(project => `<button type="button" data-project-id="${project.id}">${ValidationUtils.sanitizeHTML(`${project.title} (${project.location})`)}</button>`).join(', ')}`
+                : '';
+        }
+
+        if (pinned) {
+            const marker = this.findMarkerNear(pinned);
+
+            if (marker) {
+                this.showPreview(marker, { pin: true, focus: false });
+            } else {
+                this.hidePreview({ force: true });
+            }
+
+            // The preview was redrawn, so put focus back on the project it was on
+            if (marker && focusedProject) {
+                const button = this.preview.querySelector(`[data-project-id="${focusedProject}"]`)
+                    || this.preview.querySelector('.map-preview-project');
+                button.focus();
+            }
+        }
+    }
+
+    getClusterPlaces(cluster) {
+        const places = Array.from(new Set(cluster.points.map(point => point.locality.label)));
+        return places.length > 1
+            ? `${places.slice(0, -1).join(', ')} and ${places[places.length - 1]}`
+            : places[0];
+    }
+
+    bindEvents() {
+        this.container.addEventListener('mouseover', (e) => {
+            const marker = e.target.closest('.map-marker');
+            if (marker && this.pinnedCluster === null) {
+                this.showPreview(marker);
+            }
+        });
+
+        this.container.addEventListener('mouseout', (e) => {
+            const marker = e.target.closest('.map-marker');
+            if (marker && !marker.contains(e.relatedTarget)) {
+                this.hidePreview();
+            }
+        });
+
+        this.container.addEventListener('focusin', (e) => {
+            const marker = e.target.closest('.map-marker');
+            if (marker && this.pinnedCluster === null) {
+                this.showPreview(marker);
+            }
+        });
+
+        this.container.addEventListener('focusout', (e) => {
+            if (!this.container.contains(e.relatedTarget)) {
+                this.hidePreview({ force: true });
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const projectButton = e.target.closest('[data-project-id]');
+            const marker = e.target.closest('.map-marker');
+            const zoomButton = e.target.closest('[data-map-zoom]');
+
+            if (projectButton) {
+                this.openProject(projectButton.dataset.projectId);
+            } else if (marker) {
+                this.activateMarker(marker);
+            } else if (zoomButton) {
+                this.handleZoomButton(zoomButton.dataset.mapZoom);
+            }
+        });
+
+        this.container.addEventListener('keydown', (e) => {
+            const marker = e.target.closest('.map-marker');
+
+            if (marker && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.activateMarker(marker);
+            } else if (e.key === 'Escape' && this.preview && !this.preview.hidden) {
+                const pinned = this.pinnedCluster;
+                this.hidePreview({ force: true });
+                if (pinned !== null) {
+                    const pinnedMarker = this.markerLayer.querySelector(`[data-cluster="${pinned}"]`);
+                    if (pinnedMarker) pinnedMarker.focus();
+                }
+            }
+        });
+
+        // Drag to pan once zoomed in
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+
+        // Marker sizes and clusters depend on the rendered size; the observer also fires on
+        // changes that leave it the same (e.g. when first observing), which need no re-render
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(entries => {
+                const { width, height } = entries[0].contentRect;
+                const size = this.canvasSize;
+                if (size && size.width === width && size.height === height) return;
+
+                this.canvasSize = { width, height };
+                this.render({ keepPinned: true });
+            }).observe(this.canvas);
+        }
+    }
+
+    /**
+     * A single project opens; a cluster zooms in, or lists its projects at full zoom
+     */
+    activateMarker(marker) {
+        const cluster = this.clusters[Number(marker.dataset.cluster)];
+        if (!cluster) return;
+
+        if (cluster.points.length === 1) {
+            this.openProject(cluster.points[0].project.id);
+        } else if (this.zoom < this.options.maxZoom) {
+            this.setZoom(this.zoom * 2, cluster);
+            const next = this.findMarkerNear(cluster);
+            if (next) next.focus();
+        } else {
+            this.showPreview(marker, { pin: true });
+        }
+    }
+
+    findMarkerNear(point) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        this.clusters.forEach((cluster, index) => {
+            const distance = Math.hypot(cluster.x - point.x, cluster.y - point.y);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = index;
+            }
+        });
+
+        return best === null ? null : this.markerLayer.querySelector(`[data-cluster="${best}"]`);
+    }
+
+    openProject(projectId) {
+        this.hidePreview({ force: true });
+        this.options.onOpenProject(projectId);
+    }
+
+    /**
+     * A pinned preview stays open until closed and moves focus into it, unless focus is false
+     */
+    showPreview(marker, { pin = false, focus = pin } = {}) {
+        const index = Number(marker.dataset.cluster);
+        const cluster = this.clusters[index];
+        if (!cluster || !this.preview) return;
+
+        const shown = cluster.points.slice(0, 4);
+        const more = cluster.points.length - shown.length;
+
+        this.preview.innerHTML = `
+            <p class="map-preview-place">${this.getClusterPlaces(cluster)}</p>
+            <ul class="map-preview-list">
+                ${shown.map(({ project }) => `
+                    <li>
+                        <button type="button" class="map-preview-project" data-project-id="${project.id}" ${pin ? '' : 'tabindex="-1"'}>
+                            ${ResponsiveImages.picture(project.images[0], { sizes: '56px' })}
+                            <span>
+                                <strong>${ValidationUtils.sanitizeHTML(project.title)}</strong>
+                                <span>${ValidationUtils.sanitizeHTML(project.budget)} · ${project.year}</span>
+                            </span>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+            ${more > 0 ? `<p class="map-preview-more">and ${more} more — zoom in to see them</p>` : ''}
+        `;
+
+        // Place the card beside the marker, flipping left near the right edge
+        const containerRect = this.container.getBoundingClientRect();
+        const markerRect = marker.getBoundingClientRect();
+        const left = markerRect.left - containerRect.left + markerRect.width / 2;
+        const top = markerRect.top - containerRect.top + markerRect.height / 2;
+
+        this.preview.classList.toggle('is-flipped', left > containerRect.width * 0.6);
+        this.preview.style.left = `${left}px`;
+        this.preview.style.top = `${top}px`;
+        this.preview.hidden = false;
+
+        this.pinnedCluster = pin ? index : null;
+        if (focus) {
+            this.preview.querySelector('.map-preview-project').focus();
+        }
+    }
+
+    hidePreview({ force = false } = {}) {
+        if (!this.preview || (this.pinnedCluster !== null && !force)) return;
+
+        this.preview.hidden = true;
+        this.pinnedCluster = null;
+    }
+
+    handleZoomButton(action) {
+        if (action === 'in') {
+            this.setZoom(this.zoom * 2);
+        } else if (action === 'out') {
+            this.setZoom(this.zoom / 2);
+        } else {
+            this.setZoom(1);
+        }
+    }
+
+    /**
+     * Zoom around a point (the view centre by default), keeping the view inside the map
+     */
+    setZoom(zoom, center = null) {
+        if (!this.svg) return;
+
+        this.zoom = Math.min(this.options.maxZoom, Math.max(1, zoom));
+
+        const width = this.baseViewBox.width / this.zoom;
+        const height = this.baseViewBox.height / this.zoom;
+        const focus = center || {
+            x: this.viewBox.x + this.viewBox.width / 2,
+            y: this.viewBox.y + this.viewBox.height / 2
+        };
+
+        this.setViewBox(focus.x - width / 2, focus.y - height / 2, width, height);
+        this.container.classList.toggle('is-zoomed', this.zoom > 1);
+        this.render();
+    }
+
+    setViewBox(x, y, width, height) {
+        const base = this.baseViewBox;
+        this.viewBox = {
+            x: Math.min(base.x + base.width - width, Math.max(base.x, x)),
+            y: Math.min(base.y + base.height - height, Math.max(base.y, y)),
+            width,
+            height
+        };
+    }
+
+    handlePointerDown(e) {
+        if (this.zoom === 1 || e.button !== 0 || e.target.closest('.map-marker')) return;
+
+        this.drag = { x: e.clientX, y: e.clientY, viewBox: { ...this.viewBox }, scale: this.getScale() };
+        this.canvas.setPointerCapture(e.pointerId);
+        this.canvas.addEventListener('pointermove', this.handlePointerMove);
+        this.canvas.addEventListener('pointerup', this.handlePointerUp);
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag) return;
+
+        const { viewBox, scale } = this.drag;
+        this.setViewBox(
+            viewBox.x - (e.clientX - this.drag.x) * scale,
+            viewBox.y - (e.clientY - this.drag.y) * scale,
+            viewBox.width,
+            viewBox.height
+        );
+        this.svg.setAttribute('viewBox', `${this.viewBox.x} ${this.viewBox.y} ${this.viewBox.width} ${this.viewBox.height}`);
+    }
+
+    handlePointerUp() {
+        this.drag = null;
+        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+        this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+        this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
+        this.render();
+    }
+}
+
+// Export for global access
+window.PortfolioMap = PortfolioMap;
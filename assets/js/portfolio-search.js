@@ -0,0 +1,256 @@
+/**
+ * Portfolio Search
+ * In-memory full-text index over project data with typo-tolerant, ranked matching and highlighting
+ */
+
+const PortfolioSearch = {
+    // Searchable fields and how much a match in each one counts towards the score
+    fields: {
+        title: 6,
+        location: 4,
+        category: 3,
+        client: 3,
+        features: 2,
+        summary: 2,
+        description: 1,
+        area: 1,
+        year: 1
+    },
+
+    // Words people use for each category, matching the filter button labels
+    categoryKeywords: {
+        residential: ['home', 'house', 'apartment', 'flat'],
+        commercial: ['office', 'workspace', 'clinic'],
+        retail: ['shop', 'store', 'boutique', 'showroom'],
+        renovation: ['renovate', 'remodel', 'makeover']
+    },
+
+    stopWords: new Set(['a', 'an', 'and', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']),
+
+    // Fields that can be quoted under a card when the match isn't visible on it
+    snippetFields: [
+        { key: 'features', label: 'Features' },
+        { key: 'client', label: 'Client' },
+        { key: 'area', label: 'Area' },
+        { key: 'description', label: 'Details' }
+    ],
+
+    /**
+     * Lowercase and strip accents
+     */
+    normalize(text) {
+        return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    },
+
+    /**
+     * Reduce simple plurals so "homes" finds "home" and "galleries" finds "gallery"
+     */
+    stem(word) {
+        if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+        if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+        return word;
+    },
+
+    /**
+     * Split text into normalized, stemmed search terms
+     */
+    tokenize(text) {
+        if (text === undefined || text === null) return [];
+
+        return this.normalize(text)
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word.length > 1 && !this.stopWords.has(word))
+            .map(word => this.stem(word));
+    },
+
+    /**
+     * How well a query token matches an indexed term, from 0 (no match) to 1 (exact)
+     */
+    matchQuality(token, term) {
+        if (token === term) return 1;
+
+        // Prefix matches keep results useful while the user is still typing
+        if (term.startsWith(token)) return 0.75;
+
+        // Typo tolerance: one edit for medium words, two for long ones
+        if (token.length < 4) return 0;
+
+        const maxDistance = token.length >= 8 ? 2 : 1;
+        if (Math.abs(token.length - term.length) > maxDistance) return 0;
+
+        const distance = this.editDistance(token, term, maxDistance);
+        if (distance > maxDistance) return 0;
+
+        return distance === 1 ? 0.55 : 0.4;
+    },
+
+    /**
+     * Edit distance counting adjacent transpositions as one edit
+     * Stops early once every path exceeds maxDistance
+     */
+    editDistance(a, b, maxDistance) {
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > maxDistance) return maxDistance + 1;
+
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    },
+
+    /**
+     * Escape text and wrap every word matching one of the terms in <mark>
+     */
+    highlight(text, terms) {
+        const source = String(text);
+        if (!terms || !terms.size) return ValidationUtils.sanitizeHTML(source);
+
+        return source.split(/([\p{L}\p{N}]+)/u).map((part, index) => {
+            const isWord = index % 2 === 1;
+            const escaped = ValidationUtils.sanitizeHTML(part);
+            return isWord && terms.has(this.stem(this.normalize(part))) ? `<mark>${escaped}</mark>` : escaped;
+        }).join('');
+    },
+
+    /**
+     * Whether any word in the text matches one of the terms
+     */
+    containsTerm(text, terms) {
+        return this.tokenize(text).some(term => terms.has(term));
+    },
+
+    /**
+     * Highlighted excerpt from a field that isn't shown on the card, or null
+     */
+    snippet(project, terms) {
+        if (!terms || !terms.size) return null;
+
+        for (const field of this.snippetFields) {
+            const value = project[field.key];
+            if (!value) continue;
+
+            if (Array.isArray(value)) {
+                const matches = value.filter(item => this.containsTerm(item, terms));
+                if (matches.length) {
+                    return { label: field.label, html: matches.map(item => this.highlight(item, terms)).join(' · ') };
+                }
+                continue;
+            }
+
+            // Quote the matching sentence rather than the whole description
+            const sentence = String(value).split(/(?<=[.!?])\s+/).find(part => this.containsTerm(part, terms));
+            if (sentence) {
+                return { label: field.label, html: this.highlight(sentence, terms) };
+            }
+        }
+
+        return null;
+    }
+};
+
+/**
+ * Inverted index over loaded projects
+ * Every query word must match (exactly, by prefix or within a typo); results are ranked by field weight
+ */
+class PortfolioSearchIndex {
+    constructor() {
+        // term -> Map(projectId -> weight)
+        this.terms = new Map();
+        this.projectIds = new Set();
+    }
+
+    add(project) {
+        if (this.projectIds.has(project.id)) return;
+        this.projectIds.add(project.id);
+
+        Object.entries(PortfolioSearch.fields).forEach(([field, weight]) => {
+            let value = project[field];
+            if (Array.isArray(value)) {
+                value = value.join(' ');
+            }
+            if (field === 'category') {
+                value = [value, ...(PortfolioSearch.categoryKeywords[value] || [])].join(' ');
+            }
+
+            // A term counts once per field, however often it repeats there
+            new Set(PortfolioSearch.tokenize(value)).forEach(term => {
+                if (!this.terms.has(term)) {
+                    this.terms.set(term, new Map());
+                }
+                const postings = this.terms.get(term);
+                postings.set(project.id, (postings.get(project.id) || 0) + weight);
+            });
+        });
+    }
+
+    /**
+     * Returns [{ id, score, terms }] best match first, where terms is the Set of matched index terms
+     * Returns null for a query with no searchable words
+     */
+    search(query) {
+        const tokens = Array.from(new Set(PortfolioSearch.tokenize(query)));
+        if (!tokens.length) return null;
+
+        let results = null;
+
+        tokens.forEach(token => {
+            const tokenMatches = new Map();
+
+            this.terms.forEach((postings, term) => {
+                const quality = PortfolioSearch.matchQuality(token, term);
+                if (!quality) return;
+
+                postings.forEach((weight, id) => {
+                    const match = tokenMatches.get(id) || { score: 0, terms: new Set() };
+                    match.score = Math.max(match.score, weight * quality);
+                    match.terms.add(term);
+                    tokenMatches.set(id, match);
+                });
+            });
+
+            if (results === null) {
+                results = tokenMatches;
+                return;
+            }
+
+            // Keep only projects matching every token so far
+            const combined = new Map();
+            results.forEach((match, id) => {
+                const tokenMatch = tokenMatches.get(id);
+                if (!tokenMatch) return;
+
+                combined.set(id, {
+                    score: match.score + tokenMatch.score,
+                    terms: new Set([...match.terms, ...tokenMatch.terms])
+                });
+            });
+            results = combined;
+        });
+
+        return Array.from(results, ([id, match]) => ({ id, ...match }))
+            .sort((a, b) => b.score - a.score);
+    }
+}
+
+// Export for global access
+window.PortfolioSearch = PortfolioSearch;
+window.PortfolioSearchIndex = PortfolioSearchIndex;
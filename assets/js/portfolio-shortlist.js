@@ -0,0 +1,88 @@
+/**
+ * Portfolio Shortlist
+ * Favorite projects saved in localStorage, shared across tabs
+ */
+
+class PortfolioShortlist {
+    constructor(storageKey = 'portfolio-shortlist') {
+        this.storageKey = storageKey;
+        this.ids = this.read();
+        this.listeners = new Set();
+
+        // Keep other open tabs in step
+        window.addEventListener('storage', (e) => {
+            if (e.key !== this.storageKey) return;
+
+            this.ids = this.read();
+            this.notify();
+        });
+    }
+
+    read() {
+        const stored = StorageUtils.localStorage.get(this.storageKey, []);
+        return Array.isArray(stored) ? stored.filter(id => typeof id === 'string') : [];
+    }
+
+    save() {
+        StorageUtils.localStorage.set(this.storageKey, this.ids);
+        this.notify();
+    }
+
+    has(projectId) {
+        return this.ids.includes(projectId);
+    }
+
+    getIds() {
+        return [...this.ids];
+    }
+
+    get size() {
+        return this.ids.length;
+    }
+
+    add(projectId) {
+        if (this.has(projectId)) return;
+
+        this.ids.push(projectId);
+        this.save();
+    }
+
+    remove(projectId) {
+        if (!this.has(projectId)) return;
+
+        this.ids = this.ids.filter(id => id !== projectId);
+        this.save();
+    }
+
+    /**
+     * Returns true when the project is now shortlisted
+     */
+    toggle(projectId) {
+        if (this.has(projectId)) {
+            this.remove(projectId);
+            return false;
+        }
+        this.add(projectId);
+        return true;
+    }
+
+    clear() {
+        this.ids = [];
+        this.save();
+    }
+
+    /**
+     * Listen for changes; returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.getIds()));
+    }
+}
+
+// Export for global access
+window.PortfolioShortlist = PortfolioShortlist;
@@ -0,0 +1,103 @@
+/**
+ * Portfolio Similar Projects
+ * Scores how alike two projects are from their category, budget band, area and features
+ */
+
+const PortfolioSimilar = {
+    // How much each kind of likeness counts towards the score
+    weights: {
+        category: 3,
+        budget: 2,
+        area: 2,
+        features: 3
+    },
+
+    // Below this a project is too different to recommend
+    minScore: 1.5,
+
+    /**
+     * Index of the facet band a project's metric falls in, or null
+     */
+    getBandIndex(project, facetKey) {
+        const facet = PortfolioFacets.definitions.find(definition => definition.key === facetKey);
+        const bandId = PortfolioFacets.getOptionId(project, facet);
+        return bandId ? facet.bands.findIndex(band => band.id === bandId) : null;
+    },
+
+    /**
+     * Distinct feature words, so "Modular kitchen" and "kitchen island" overlap
+     */
+    getFeatureTerms(project) {
+        return new Set(PortfolioSearch.tokenize((project.features || []).join(' ')));
+    },
+
+    /**
+     * Returns { score, reasons } where each 0-1 likeness is multiplied by its weight
+     * Reasons name what the projects share, strongest first
+     */
+    compare(project, candidate) {
+        const likeness = {};
+
+        likeness.category = project.category === candidate.category ? 1 : 0;
+
+        // Same budget band is a full match, a neighbouring band half
+        const budgetBand = this.getBandIndex(project, 'budget');
+        const candidateBudgetBand = this.getBandIndex(candidate, 'budget');
+        if (budgetBand !== null && candidateBudgetBand !== null) {
+            likeness.budget = Math.max(0, 1 - Math.abs(budgetBand - candidateBudgetBand) / 2);
+        }
+
+        const area = project.metrics && project.metrics.area;
+        const candidateArea = candidate.metrics && candidate.metrics.area;
+        if (area && candidateArea) {
+            likeness.area = Math.min(area, candidateArea) / Math.max(area, candidateArea);
+        }
+
+        const terms = this.getFeatureTerms(project);
+        const candidateTerms = this.getFeatureTerms(candidate);
+        const shared = Array.from(terms).filter(term => candidateTerms.has(term));
+        if (terms.size && candidateTerms.size) {
+            likeness.features = shared.length / new Set([...terms, ...candidateTerms]).size;
+        }
+
+        let score = 0;
+        const reasons = [];
+
+        Object.entries(likeness).forEach(([key, value]) => {
+            const points = value * this.weights[key];
+            score += points;
+
+            if (value >= 0.5 || (key === 'features' && shared.length >= 2)) {
+                reasons.push({ key, points });
+            }
+        });
+
+        const labels = {
+            category: `Also ${candidate.category}`,
+            budget: 'Similar budget',
+            area: 'Similar size',
+            features: 'Similar features'
+        };
+
+        return {
+            score,
+            reasons: reasons.sort((a, b) => b.points - a.points).map(reason => labels[reason.key])
+        };
+    },
+
+    /**
+     * The most similar projects to one project, best first
+     * Returns [{ project, score, reasons }]
+     */
+    find(project, candidates, limit = 3) {
+        return candidates
+            .filter(candidate => candidate.id !== project.id)
+            .map(candidate => ({ project: candidate, ...this.compare(project, candidate) }))
+            .filter(match => match.score >= this.minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+};
+
+// Export for global access
+window.PortfolioSimilar = PortfolioSimilar;
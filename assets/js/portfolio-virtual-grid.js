@@ -0,0 +1,208 @@
+/**
+ * Portfolio Virtual Grid
+ * Keeps only the cards near the viewport in the DOM and pads the grid for the rows in between,
+ * so filtering and scrolling a catalog of hundreds of projects stays as quick as a dozen
+ */
+
+class PortfolioVirtualGrid {
+    /**
+     * getElement(id) returns the card for a project, creating it on first use
+     * onRender(addedCards) runs after each render with the cards that were just attached
+     */
+    constructor(grid, { getElement, onRender, overscan = 2, initialCount = 12 } = {}) {
+        this.grid = grid;
+        this.getElement = getElement;
+        this.onRender = onRender || (() => {});
+        // Rows rendered beyond each edge of the viewport
+        this.overscan = overscan;
+        // Cards rendered before the row height has been measured
+        this.initialCount = initialCount;
+
+        this.ids = [];
+        this.windowed = true;
+        this.range = { start: 0, end: 0 };
+        this.columns = 1;
+        this.rowPitch = 0;
+        this.frame = null;
+
+        window.addEventListener('scroll', () => this.scheduleUpdate(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleUpdate());
+    }
+
+    /**
+     * Show these projects, in this order
+     */
+    setItems(ids) {
+        this.ids = ids;
+        this.render();
+    }
+
+    /**
+     * Masonry cards have no fixed rows to window, so they are all rendered
+     */
+    setWindowed(windowed) {
+        this.windowed = windowed;
+        this.rowPitch = 0;
+        this.render();
+    }
+
+    scheduleUpdate() {
+        if (this.frame || !this.windowed) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    update() {
+        this.measure();
+        this.applyRange(this.getRange());
+    }
+
+    render() {
+        // Render a first batch to measure a row by, then window from there
+        if (this.windowed && !this.rowPitch) {
+            this.applyRange({ start: 0, end: Math.min(this.ids.length, this.initialCount) });
+            this.measure();
+        }
+
+        this.applyRange(this.getRange());
+    }
+
+    getRenderedCards() {
+        return Array.from(this.grid.children).filter(child => child.classList.contains('portfolio-item'));
+    }
+
+    /**
+     * Column count from the grid template, row height from the distance between rendered rows
+     */
+    measure() {
+        const style = getComputedStyle(this.grid);
+        this.columns = Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length);
+
+        const cards = this.getRenderedCards();
+        if (!cards.length) return;
+
+        const firstRow = Math.floor(this.range.start / this.columns);
+        const lastRow = Math.floor((this.range.start + cards.length - 1) / this.columns);
+        const first = cards[0];
+        const last = cards[cards.length - 1];
+
+        // offsetTop and offsetHeight ignore the cards' hover transforms
+        this.rowPitch = lastRow > firstRow
+            ? (last.offsetTop - first.offsetTop) / (lastRow - firstRow)
+            : first.offsetHeight + (parseFloat(style.rowGap) || 0);
+    }
+
+    getRange() {
+        const count = this.ids.length;
+
+        // Without a measured layout (e.g. the section is hidden) everything is rendered
+        if (!this.windowed || !this.rowPitch) {
+            return { start: 0, end: count };
+        }
+
+        const top = this.grid.getBoundingClientRect().top;
+        const totalRows = Math.ceil(count / this.columns);
+        const firstRow = Math.min(totalRows, Math.max(0, Math.floor(-top / this.rowPitch) - this.overscan));
+        const lastRow = Math.min(totalRows, Math.max(firstRow, Math.ceil((window.innerHeight - top) / this.rowPitch) + this.overscan));
+
+        let start = firstRow * this.columns;
+        let end = Math.min(count, lastRow * this.columns);
+
+        // Keep a focused card mounted so keyboard focus isn't dropped while scrolling
+        const focused = document.activeElement && document.activeElement.closest
+            ? document.activeElement.closest('.portfolio-item')
+            : null;
+        const focusedIndex = focused && focused.parentElement === this.grid
+            ? this.ids.indexOf(focused.dataset.projectId)
+            : -1;
+
+        if (focusedIndex !== -1) {
+            start = Math.min(start, Math.floor(focusedIndex / this.columns) * this.columns);
+            end = Math.max(end, focusedIndex + 1);
+        }
+
+        return { start, end };
+    }
+
+    applyRange({ start, end }) {
+        const wanted = this.ids.slice(start, end).map(id => this.getElement(id)).filter(Boolean);
+        const wantedSet = new Set(wanted);
+
+        this.getRenderedCards().forEach(card => {
+            if (!wantedSet.has(card)) {
+                card.remove();
+            }
+        });
+
+        const added = wanted.filter(card => !card.isConnected);
+
+        // Insert or move each card into place, leaving anything else in the grid after them
+        let reference = this.grid.firstElementChild;
+        wanted.forEach(card => {
+            if (card === reference) {
+                reference = card.nextElementSibling;
+            } else {
+                this.grid.insertBefore(card, reference);
+            }
+        });
+
+        this.range = { start, end };
+
+        // Padding stands in for the rows above and below the rendered ones
+        const isWindowed = this.windowed && this.rowPitch;
+        const rowsBefore = start / this.columns;
+        const rowsAfter = Math.ceil(this.ids.length / this.columns) - Math.ceil(end / this.columns);
+        this.grid.style.paddingTop = isWindowed && rowsBefore ? `${rowsBefore * this.rowPitch}px` : '';
+        this.grid.style.paddingBottom = isWindowed && rowsAfter ? `${rowsAfter * this.rowPitch}px` : '';
+
+        this.onRender(added);
+    }
+
+    /**
+     * Render a project's card, scrolling it into view first if it is outside the window
+     * Returns the card, or null when the project isn't among the items
+     */
+    scrollToItem(id, { focus = false } = {}) {
+        const index = this.ids.indexOf(id);
+        if (index === -1) return null;
+
+        if (index < this.range.start || index >= this.range.end) {
+            const row = Math.floor(index / this.columns);
+            const gridTop = this.grid.getBoundingClientRect().top + window.pageYOffset;
+            window.scrollTo(0, gridTop + row * this.rowPitch - window.innerHeight / 3);
+            this.update();
+        }
+
+        const card = this.getElement(id);
+        if (focus && card && card.isConnected) {
+            card.focus({ preventScroll: true });
+        }
+        return card;
+    }
+
+    /**
+     * The first card on screen and its distance from the top of the viewport
+     */
+    getScrollAnchor() {
+        const card = this.getRenderedCards().find(item => item.getBoundingClientRect().bottom > 0);
+        return card ? { id: card.dataset.projectId, offset: card.getBoundingClientRect().top } : null;
+    }
+
+    /**
+     * Scroll back to where getScrollAnchor() was taken; false when the project isn't shown
+     */
+    restoreScrollAnchor(anchor) {
+        const card = anchor && this.scrollToItem(anchor.id);
+        if (!card || !card.isConnected) return false;
+
+        window.scrollBy(0, card.getBoundingClientRect().top - anchor.offset);
+        this.update();
+        return true;
+    }
+}
+
+// Export for global access
+window.PortfolioVirtualGrid = PortfolioVirtualGrid;
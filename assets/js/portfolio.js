@@ -8,35 +8,209 @@ class PortfolioManager {
         this.portfolioGrid = null;
         this.filterButtons = [];
         this.portfolioItems = [];
+        // Cards are built on first render and kept, keyed by project id
+        this.cardElements = new Map();
+        this.matchingIds = [];
+        this.virtualGrid = null;
+        this.portfolioMap = null;
         this.currentFilter = 'all';
+        this.activeFacets = PortfolioFacets.createEmptySelection();
+        this.currentSort = 'featured';
+        this.currentLayout = 'grid';
+        this.masonryFrame = null;
+        this.searchQuery = '';
+        this.searchResults = null;
+        this.searchIndex = new PortfolioSearchIndex();
         this.modal = null;
         this.galleryModal = null;
+        this.galleryGestures = null;
+        this.panoramaViewer = null;
+        this.currentHotspots = [];
+        this.activeHotspot = null;
+        this.shortlist = new PortfolioShortlist();
+        this.shortlistView = 'list';
+        this.shortlistReturnFocus = null;
+        this.modalProjectId = null;
+        this.galleryProjectId = null;
+        this.routeToken = 0;
         this.currentImageIndex = 0;
         this.currentGalleryImages = [];
-        
-        // Portfolio data
-        this.portfolioData = this.initializePortfolioData();
-        
+        this.currentGalleryTitle = '';
+        this.currentGalleryCaptions = [];
+        this.preloadedImages = new Set();
+        this.itemObserver = null;
+        this.loadMoreObserver = null;
+
+        this.config = {
+            // Versioned project catalog, see assets/data/portfolio.json
+            catalogUrl: 'assets/data/portfolio.json',
+            // Paginated projects API, e.g. '/api/projects'. When null the local catalog stands in for it
+            projectsEndpoint: null,
+            pageSize: 6,
+            requestTimeout: 8000,
+            // Load the next page automatically when the Load More button scrolls into view
+            infiniteScroll: false,
+            // Gallery slideshow delay per image (ms)
+            slideshowInterval: 5000,
+            // Card layouts and the map view the visitor can switch between; the first is the default
+            layouts: ['grid', 'masonry', 'list', 'map'],
+            // Offline neighbourhood map for the map view, see assets/js/portfolio-map.js
+            mapUrl: 'assets/images/kolkata-map.svg',
+            layoutStorageKey: 'portfolio-layout',
+            // Where the visitor was in the grid, restored on reload or Back
+            scrollAnchorKey: 'portfolio-scroll-anchor'
+        };
+
+        // Portfolio data, keyed by project id as pages are loaded
+        this.portfolioData = {};
+        this.projectOrder = [];
+        this.projectSource = null;
+        this.pagination = {
+            cursor: null,
+            hasMore: true,
+            isLoading: false
+        };
+        this.slideshow = {
+            isPlaying: false,
+            timer: null,
+            startedAt: 0,
+            remaining: 0,
+            // Hover, focus, zoom or a hidden tab each hold the slideshow
+            pauseReasons: new Set(),
+            progressAnimation: null
+        };
+
         this.init();
     }
 
     init() {
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => {
-                this.setupPortfolio();
-            });
-        } else {
+        // The portfolio section is injected by main.js, so wait for it
+        if (window.InteriorDesignApp && window.InteriorDesignApp.isLoaded) {
             this.setupPortfolio();
+        } else {
+            window.addEventListener('appReady', () => {
+                this.setupPortfolio();
+            }, { once: true });
         }
     }
 
-    setupPortfolio() {
+    async setupPortfolio() {
         this.cacheElements();
+        this.setupVirtualGrid();
         this.bindEvents();
         this.setupIntersectionObserver();
-        this.initializeFilters();
-        this.setupModals();
         this.setupKeyboardNavigation();
+
+        this.projectSource = PortfolioCatalog.createSource({
+            endpoint: this.config.projectsEndpoint,
+            catalogUrl: this.config.catalogUrl,
+            pageSize: this.config.pageSize,
+            timeout: this.config.requestTimeout
+        });
+
+        this.renderFacetPanel();
+        this.initializeSearch();
+        this.initializeSort();
+        this.initializeLayout();
+        this.initializeFilters();
+        await this.loadMoreProjects();
+
+        this.setupRouting();
+        this.restoreScrollPosition();
+    }
+
+    /**
+     * Only the cards near the viewport are kept in the grid, see portfolio-virtual-grid.js
+     */
+    setupVirtualGrid() {
+        if (!this.portfolioGrid) return;
+
+        this.virtualGrid = new PortfolioVirtualGrid(this.portfolioGrid, {
+            getElement: id => this.getProjectCard(id),
+            onRender: added => this.handleCardsRendered(added)
+        });
+
+        // The browser can't restore a position in a partly rendered grid, so we do it by card
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        window.addEventListener('pagehide', () => {
+            const anchor = this.virtualGrid.getScrollAnchor() || { scrollY: window.pageYOffset };
+            StorageUtils.sessionStorage.set(this.config.scrollAnchorKey, anchor);
+        });
+    }
+
+    restoreScrollPosition() {
+        const anchor = StorageUtils.sessionStorage.get(this.config.scrollAnchorKey);
+        StorageUtils.sessionStorage.remove(this.config.scrollAnchorKey);
+
+        // Only returning to the page (reload or Back) restores; a fresh visit starts at the top
+        const navigation = window.performance && performance.getEntriesByType
+            ? performance.getEntriesByType('navigation')[0]
+            : null;
+        if (!anchor || !navigation || !['reload', 'back_forward'].includes(navigation.type)) return;
+
+        if (anchor.id && this.virtualGrid && this.virtualGrid.restoreScrollAnchor(anchor)) return;
+
+        if (typeof anchor.scrollY === 'number') {
+            window.scrollTo(0, anchor.scrollY);
+        }
+    }
+
+    getProjectCard(projectId) {
+        if (!this.cardElements.has(projectId)) {
+            const project = this.portfolioData[projectId];
+            if (!project) return null;
+
+            const template = document.createElement('template');
+            template.innerHTML = this.getProjectCardHTML(project).trim();
+
+            const card = template.content.firstElementChild;
+            this.updateCardHighlights(card);
+            this.cardElements.set(projectId, card);
+        }
+
+        return this.cardElements.get(projectId);
+    }
+
+    handleCardsRendered(addedCards) {
+        this.portfolioItems = this.virtualGrid.getRenderedCards();
+        if (!addedCards.length) return;
+
+        addedCards.forEach(card => {
+            if (this.itemObserver && !card.classList.contains('visible')) {
+                this.itemObserver.observe(card);
+            }
+        });
+
+        // Shortlist changes made while a card was out of the window
+        this.updateShortlistToggles(this.portfolioGrid);
+        this.scheduleMasonryLayout();
+    }
+
+    /**
+     * Scroll a project's card into the grid window and optionally focus it
+     */
+    revealProjectCard(projectId, { focus = false } = {}) {
+        return this.virtualGrid ? this.virtualGrid.scrollToItem(projectId, { focus }) : null;
+    }
+
+    showCatalogError() {
+        if (!this.portfolioGrid || this.portfolioGrid.querySelector('.component-error')) return;
+
+        this.portfolioGrid.insertAdjacentHTML('beforeend', `
+            <div class="component-error">
+                <p>Unable to load our projects right now. Please try again.</p>
+            </div>
+        `);
+    }
+
+    clearCatalogError() {
+        const error = this.portfolioGrid && this.portfolioGrid.querySelector('.component-error');
+        if (error) {
+            error.remove();
+        }
     }
 
     cacheElements() {
@@ -45,7 +219,18 @@ class PortfolioManager {
         this.portfolioItems = document.querySelectorAll('.portfolio-item');
         this.modal = document.getElementById('portfolio-modal');
         this.galleryModal = document.getElementById('gallery-modal');
+        this.shortlistDrawer = document.getElementById('shortlist-drawer');
+        this.shortlistButton = document.getElementById('shortlist-open');
         this.loadMoreBtn = document.getElementById('load-more-portfolio');
+        this.facetPanel = document.getElementById('portfolio-facets');
+        this.resultsSummary = document.getElementById('portfolio-results-summary');
+        this.sortSelect = document.getElementById('portfolio-sort');
+        this.layoutControl = document.getElementById('portfolio-layout');
+        this.mapView = document.getElementById('portfolio-map');
+        this.searchInput = document.getElementById('portfolio-search');
+        this.emptyState = document.getElementById('portfolio-empty-state');
+        this.loadMoreContainer = document.querySelector('.portfolio-load-more');
+        this.endOfListMessage = document.getElementById('portfolio-end-message');
     }
 
     bindEvents() {
@@ -59,14 +244,66 @@ class PortfolioManager {
             });
         });
 
-        // Portfolio item click events
-        this.portfolioItems.forEach(item => {
-            item.addEventListener('click', (e) => {
+        // Facet select and clear events
+        if (this.facetPanel) {
+            this.facetPanel.addEventListener('change', (e) => {
+                const facetKey = e.target.dataset.facet;
+                if (!facetKey) return;
+
+                this.activeFacets[facetKey] = e.target.value || null;
+                this.applyFilters();
+            });
+
+            this.facetPanel.addEventListener('click', (e) => {
+                if (e.target.closest('.facet-clear')) {
+                    this.clearFilters();
+                }
+            });
+        }
+
+        // Search events
+        this.setupPortfolioSearch();
+
+        if (this.emptyState) {
+            this.emptyState.addEventListener('click', (e) => {
+                if (e.target.closest('.portfolio-reset')) {
+                    this.searchPortfolio('');
+                    this.clearFilters();
+                }
+            });
+        }
+
+        // Sort events
+        if (this.sortSelect) {
+            this.sortSelect.addEventListener('change', () => {
+                this.sortPortfolio(this.sortSelect.value);
+            });
+        }
+
+        // Layout events
+        if (this.layoutControl) {
+            this.layoutControl.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-layout]');
+                if (button) {
+                    this.setLayout(button.dataset.layout);
+                }
+            });
+        }
+
+        // Shortlist events
+        this.setupShortlist();
+
+        // Portfolio item click events (delegated, cards are rendered from the catalog)
+        if (this.portfolioGrid) {
+            this.portfolioGrid.addEventListener('click', (e) => {
+                const item = e.target.closest('.portfolio-item');
+                if (!item || e.target.closest('button')) return;
+
                 e.preventDefault();
                 const projectId = this.getProjectId(item);
                 this.openProjectModal(projectId);
             });
-        });
+        }
 
         // Load more button
         if (this.loadMoreBtn) {
@@ -98,6 +335,39 @@ class PortfolioManager {
             }
         });
 
+        // Swipe, pinch and double-tap zoom on the gallery image
+        const galleryStage = document.getElementById('gallery-stage');
+        const zoomResetBtn = document.querySelector('.gallery-zoom-reset');
+
+        if (galleryStage) {
+            this.galleryGestures = new GalleryGestures(galleryStage, {
+                onSwipeLeft: () => this.nextImage(),
+                onSwipeRight: () => this.previousImage(),
+                onZoomChange: (isZoomed) => {
+                    if (zoomResetBtn) {
+                        zoomResetBtn.hidden = !isZoomed;
+                    }
+                    if (isZoomed) {
+                        this.pauseSlideshow('zoom');
+                    } else {
+                        this.resumeSlideshow('zoom');
+                    }
+                },
+                onTransform: (transform, scale) => this.updateHotspotTransform(transform, scale)
+            });
+        }
+
+        if (zoomResetBtn) {
+            zoomResetBtn.addEventListener('click', () => {
+                if (this.galleryGestures) {
+                    this.galleryGestures.reset(true);
+                }
+            });
+        }
+
+        this.setupSlideshowEvents();
+        this.setupHotspotEvents();
+
         // Gallery navigation
         const prevBtn = document.querySelector('.gallery-nav.prev');
         const nextBtn = document.querySelector('.gallery-nav.next');
@@ -110,125 +380,163 @@ class PortfolioManager {
         }
     }
 
-    initializePortfolioData() {
-        return {
-            'residential-1': {
-                title: 'Modern 3BHK Apartment',
-                category: 'residential',
-                location: 'Salt Lake, Kolkata',
-                budget: '₹8.5L',
-                duration: '45 Days',
-                year: '2024',
-                description: 'A contemporary design project that seamlessly blends modern aesthetics with traditional Bengali elements. This 3BHK apartment features an open-plan living area, modular kitchen, and custom storage solutions.',
-                client: 'Mr. & Mrs. Sharma',
-                area: '1200 sq ft',
-                features: [
-                    'Open-plan living and dining area',
-                    'Modular kitchen with breakfast counter',
-                    'Master bedroom with walk-in closet',
-                    'Custom storage throughout',
-                    'Premium lighting design',
-                    'Smart home automation'
-                ],
-                images: [
-                    'assets/images/portfolio/residential-1/img1.jpg',
-                    'assets/images/portfolio/residential-1/img2.jpg',
-                    'assets/images/portfolio/residential-1/img3.jpg',
-                    'assets/images/portfolio/residential-1/img4.jpg',
-                    'assets/images/portfolio/residential-1/img5.jpg'
-                ],
-                beforeAfter: [
-                    {
-                        before: 'assets/images/portfolio/residential-1/before1.jpg',
-                        after: 'assets/images/portfolio/residential-1/after1.jpg'
-                    }
-                ]
-            },
-            'commercial-1': {
-                title: 'Corporate Office',
-                category: 'commercial',
-                location: 'Park Street, Kolkata',
-                budget: '₹15L',
-                duration: '60 Days',
-                year: '2024',
-                description: 'Professional workspace design for a growing tech company. The design focuses on creating collaborative spaces while maintaining productivity and brand identity.',
-                client: 'TechCorp Solutions',
-                area: '3000 sq ft',
-                features: [
-                    'Open workspace with flexible seating',
-                    'Executive cabins with glass partitions',
-                    'Modern conference rooms',
-                    'Employee break areas',
-                    'Reception and waiting area',
-                    'Branded interior elements'
-                ],
-                images: [
-                    'assets/images/portfolio/commercial-1/img1.jpg',
-                    'assets/images/portfolio/commercial-1/img2.jpg',
-                    'assets/images/portfolio/commercial-1/img3.jpg',
-                    'assets/images/portfolio/commercial-1/img4.jpg'
-                ]
-            },
-            'retail-1': {
-                title: 'Fashion Boutique',
-                category: 'retail',
-                location: 'Gariahat, Kolkata',
-                budget: '₹6L',
-                duration: '30 Days',
-                year: '2024',
-                description: 'Elegant retail space design for a high-end fashion boutique. Custom display units, strategic lighting, and luxurious finishes create an premium shopping experience.',
-                client: 'Elegant Fashion House',
-                area: '800 sq ft',
-                features: [
-                    'Custom display counters',
-                    'Strategic product lighting',
-                    'Fitting rooms with premium finishes',
-                    'POS counter design',
-                    'Storage optimization',
-                    'Brand-focused color scheme'
-                ],
-                images: [
-                    'assets/images/portfolio/retail-1/img1.jpg',
-                    'assets/images/portfolio/retail-1/img2.jpg',
-                    'assets/images/portfolio/retail-1/img3.jpg'
-                ]
-            }
-        };
+    filterPortfolio(filter) {
+        this.activeFacets.category = filter === 'all' ? null : filter;
+        this.applyFilters();
+
+        // Track filter usage
+        this.trackFilterUsage(filter);
     }
 
-    filterPortfolio(filter) {
-        this.currentFilter = filter;
-        
-        this.portfolioItems.forEach(item => {
-            const itemCategories = item.dataset.category.split(' ');
-            const shouldShow = filter === 'all' || itemCategories.includes(filter);
-            
-            if (shouldShow) {
-                item.style.display = 'block';
-                setTimeout(() => {
-                    item.style.opacity = '1';
-                    item.style.transform = 'scale(1)';
-                }, 50);
-            } else {
-                item.style.opacity = '0';
-                item.style.transform = 'scale(0.8)';
-                setTimeout(() => {
-                    item.style.display = 'none';
-                }, 300);
+    /**
+     * Render the grid for the current filters, search and sort
+     * animate slides cards that stay shown to their new place, for changes that reorder them
+     */
+    applyFilters({ animate = false } = {}) {
+        this.currentFilter = this.activeFacets.category || 'all';
+
+        if (animate) {
+            this.reorderGrid(true);
+        } else {
+            this.renderGrid();
+        }
+
+        this.updateUrl();
+        this.updateFacetCounts();
+        this.scheduleMasonryLayout();
+    }
+
+    updateUrl() {
+        // Update URL without page reload (?q=...&filter=...&sort=...)
+        const url = PortfolioFacets.toQuery(this.activeFacets, new URL(window.location));
+
+        if (this.searchQuery) {
+            url.searchParams.set('q', this.searchQuery);
+        } else {
+            url.searchParams.delete('q');
+        }
+
+        if (this.currentSort === this.getDefaultSort()) {
+            url.searchParams.delete('sort');
+        } else {
+            url.searchParams.set('sort', this.currentSort);
+        }
+
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    clearFilters() {
+        this.activeFacets = PortfolioFacets.createEmptySelection();
+
+        const allButton = document.querySelector('.filter-btn[data-filter="all"]');
+        if (allButton) {
+            this.setActiveFilter(allButton);
+        }
+
+        this.applyFilters();
+    }
+
+    getLoadedProjects() {
+        return this.projectOrder.map(id => this.portfolioData[id]);
+    }
+
+    renderFacetPanel() {
+        if (!this.facetPanel) return;
+
+        const selects = PortfolioFacets.definitions
+            .filter(facet => facet.key !== 'category')
+            .map(facet => `
+                <div class="facet-group">
+                    <label for="facet-${facet.key}">${facet.label}</label>
+                    <select id="facet-${facet.key}" data-facet="${facet.key}"></select>
+                </div>
+            `).join('');
+
+        this.facetPanel.innerHTML = `
+            ${selects}
+            <button type="button" class="btn btn-sm btn-outline facet-clear">
+                <i class="fas fa-times"></i> Clear filters
+            </button>
+        `;
+    }
+
+    updateFacetCounts() {
+        const projects = this.getLoadedProjects();
+        // Counts reflect the search, options stay drawn from everything loaded
+        const candidates = projects.filter(project => this.matchesSearch(project));
+        const counts = PortfolioFacets.countOptions(candidates, this.activeFacets);
+
+        // Category counts live on the existing filter buttons
+        this.filterButtons.forEach(btn => {
+            const filter = btn.dataset.filter;
+            const count = filter === 'all' ? counts.category.all : (counts.category[filter] || 0);
+            let badge = btn.querySelector('.filter-count');
+
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'filter-count';
+                btn.appendChild(badge);
             }
+            badge.textContent = count;
         });
 
-        // Update URL without page reload
-        const url = new URL(window.location);
-        if (filter === 'all') {
-            url.searchParams.delete('filter');
-        } else {
-            url.searchParams.set('filter', filter);
+        if (this.facetPanel) {
+            PortfolioFacets.definitions.forEach(facet => {
+                const select = this.facetPanel.querySelector(`select[data-facet="${facet.key}"]`);
+                if (!select) return;
+
+                const selected = this.activeFacets[facet.key] || '';
+                const options = PortfolioFacets.getOptions(facet, projects);
+
+                select.innerHTML = `<option value="">${facet.anyLabel} (${counts[facet.key].all})</option>` +
+                    options.map(option => {
+                        const count = counts[facet.key][option.id] || 0;
+                        const isSelected = option.id === selected;
+                        return `<option value="${option.id}" ${isSelected ? 'selected' : ''} ${count || isSelected ? '' : 'disabled'}>${ValidationUtils.sanitizeHTML(option.label)} (${count})</option>`;
+                    }).join('');
+            });
+
+            this.facetPanel.classList.toggle('has-active', PortfolioFacets.isActive(this.activeFacets));
         }
-        window.history.replaceState({}, '', url);
 
-        // Track filter usage
-        this.trackFilterUsage(filter);
+        this.updateResultsSummary(counts.category.all, projects.length);
+    }
+
+    updateResultsSummary(visibleCount, loadedCount) {
+        const hasFilters = PortfolioFacets.isActive(this.activeFacets);
+        const isSearching = Boolean(this.searchResults);
+        const isEmpty = (hasFilters || isSearching) && loadedCount > 0 && visibleCount === 0;
+        const suffix = this.pagination.hasMore ? ' loaded so far' : '';
+
+        if (this.resultsSummary) {
+            if (isEmpty) {
+                this.resultsSummary.textContent = isSearching
+                    ? `No projects match "${this.searchQuery}"`
+                    : 'No projects match these filters yet. Try widening your search or clearing filters.';
+            } else if (isSearching) {
+                const noun = visibleCount === 1 ? 'project matches' : 'projects match';
+                this.resultsSummary.textContent = `${visibleCount} ${noun} "${this.searchQuery}" (of ${loadedCount}${suffix})`;
+            } else if (hasFilters) {
+                this.resultsSummary.textContent = `Showing ${visibleCount} of ${loadedCount} projects${suffix}`;
+            } else {
+                this.resultsSummary.textContent = '';
+            }
+        }
+
+        if (this.emptyState) {
+            const message = this.emptyState.querySelector('#portfolio-empty-message');
+            if (message) {
+                const hints = [isSearching ? 'Check the spelling or try fewer words.' : 'Try widening your filters.'];
+                if (isSearching && hasFilters) {
+                    hints.push('Some matches may be hidden by the active filters.');
+                }
+                if (this.pagination.hasMore) {
+                    hints.push('Load more projects to search further.');
+                }
+                message.textContent = hints.join(' ');
+            }
+            this.emptyState.hidden = !isEmpty;
+        }
     }
 
     setActiveFilter(activeButton) {
@@ -239,35 +547,265 @@ class PortfolioManager {
     }
 
     initializeFilters() {
-        // Check URL for initial filter
-        const urlParams = new URLSearchParams(window.location.search);
-        const initialFilter = urlParams.get('filter') || 'all';
-        
-        if (initialFilter !== 'all') {
-            const filterButton = document.querySelector(`[data-filter="${initialFilter}"]`);
-            if (filterButton) {
-                this.filterPortfolio(initialFilter);
-                this.setActiveFilter(filterButton);
-            }
+        // Check URL for initial filters (?filter=residential&budget=5l-10l&locality=salt-lake)
+        this.activeFacets = PortfolioFacets.fromQuery(new URLSearchParams(window.location.search));
+
+        const filterButton = document.querySelector(`.filter-btn[data-filter="${this.activeFacets.category || 'all'}"]`);
+        if (filterButton) {
+            this.setActiveFilter(filterButton);
         }
+
+        this.applyFilters();
     }
 
-    getProjectId(item) {
-        // Extract project ID from the portfolio item
-        const img = item.querySelector('img');
-        if (img && img.src) {
-            const match = img.src.match(/portfolio\/([^\/]+)/);
-            return match ? match[1] : null;
+    sortPortfolio(mode) {
+        this.currentSort = this.isValidSort(mode) ? mode : this.getDefaultSort();
+        this.updateSortControl();
+        this.reorderGrid(true);
+        this.updateUrl();
+
+        this.trackSortUsage(this.currentSort);
+    }
+
+    initializeLayout() {
+        const stored = StorageUtils.localStorage.get(this.config.layoutStorageKey);
+        this.setLayout(this.config.layouts.includes(stored) ? stored : this.config.layouts[0], { save: false });
+
+        if (!this.portfolioGrid) return;
+
+        // Masonry spans depend on the column width, so re-measure when the grid resizes
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.scheduleMasonryLayout()).observe(this.portfolioGrid);
+        }
+
+        // Photos without known dimensions take their aspect ratio once loaded
+        this.portfolioGrid.addEventListener('load', (e) => {
+            const frame = e.target.tagName === 'IMG' && e.target.closest('.portfolio-image');
+            if (!frame || frame.style.getPropertyValue('--image-aspect')) return;
+
+            frame.style.setProperty('--image-aspect', `${e.target.naturalWidth} / ${e.target.naturalHeight}`);
+            this.scheduleMasonryLayout();
+        }, true);
+    }
+
+    /**
+     * Switch between grid, masonry and list cards; filters, search and sort apply the same in each
+     */
+    setLayout(layout, { save = true } = {}) {
+        if (!this.config.layouts.includes(layout)) return;
+
+        this.currentLayout = layout;
+
+        if (this.portfolioGrid) {
+            this.portfolioGrid.dataset.layout = layout;
+        }
+
+        if (this.layoutControl) {
+            this.layoutControl.querySelectorAll('[data-layout]').forEach(button => {
+                button.setAttribute('aria-pressed', button.dataset.layout === layout ? 'true' : 'false');
+            });
+        }
+
+        if (layout !== 'masonry') {
+            this.cardElements.forEach(item => {
+                item.style.gridRowEnd = '';
+            });
+        }
+
+        // The map replaces the grid rather than restyling its cards
+        const isMap = layout === 'map';
+        if (this.portfolioGrid) {
+            this.portfolioGrid.hidden = isMap;
+        }
+        if (this.mapView) {
+            this.mapView.hidden = !isMap;
+        }
+
+        this.renderGrid();
+        if (this.virtualGrid) {
+            this.virtualGrid.setWindowed(layout !== 'masonry');
+        }
+        this.scheduleMasonryLayout();
+
+        if (save) {
+            StorageUtils.localStorage.set(this.config.layoutStorageKey, layout);
+            this.trackLayoutChange(layout);
+        }
+    }
+
+    scheduleMasonryLayout() {
+        if (this.currentLayout !== 'masonry' || this.masonryFrame) return;
+
+        this.masonryFrame = requestAnimationFrame(() => {
+            this.masonryFrame = null;
+            this.layoutMasonry();
+        });
+    }
+
+    /**
+     * Masonry on a CSS grid of short rows: each card spans as many rows as its height needs,
+     * so cards keep their sorted order reading left to right
+     */
+    layoutMasonry() {
+        if (this.currentLayout !== 'masonry' || !this.portfolioGrid) return;
+
+        const gridStyle = getComputedStyle(this.portfolioGrid);
+        const rowHeight = parseFloat(gridStyle.gridAutoRows) || 8;
+        const gap = parseFloat(gridStyle.columnGap) || 0;
+
+        this.portfolioItems.forEach(item => {
+            // offsetHeight ignores the hover transform
+            const span = Math.ceil((item.offsetHeight + gap) / rowHeight);
+            item.style.gridRowEnd = `span ${Math.max(span, 1)}`;
+        });
+    }
+
+    initializeSort() {
+        const initialSort = new URLSearchParams(window.location.search).get('sort');
+        this.currentSort = this.isValidSort(initialSort) ? initialSort : this.getDefaultSort();
+        this.updateSortControl();
+    }
+
+    getDefaultSort() {
+        // Best match first while searching
+        return this.searchQuery ? 'relevance' : 'featured';
+    }
+
+    isValidSort(mode) {
+        if (mode === 'relevance') return Boolean(this.searchQuery);
+        return Boolean(this.getSortComparator(mode));
+    }
+
+    updateSortControl() {
+        if (!this.sortSelect) return;
+
+        const relevanceOption = this.sortSelect.querySelector('option[value="relevance"]');
+        if (relevanceOption) {
+            relevanceOption.hidden = !this.searchQuery;
+            relevanceOption.disabled = !this.searchQuery;
+        }
+        this.sortSelect.value = this.currentSort;
+    }
+
+    getSortComparator(mode) {
+        // Missing values always sort last, whichever the direction
+        const byMetric = (metric, direction) => (a, b) => {
+            const valueA = a.metrics[metric];
+            const valueB = b.metrics[metric];
+
+            if (valueA === null || Number.isNaN(valueA)) return valueB === null || Number.isNaN(valueB) ? 0 : 1;
+            if (valueB === null || Number.isNaN(valueB)) return -1;
+            return (valueA - valueB) * direction;
+        };
+
+        const comparators = {
+            relevance: (a, b) => this.getSearchScore(b) - this.getSearchScore(a),
+            featured: (a, b) => Number(Boolean(b.featured)) - Number(Boolean(a.featured)),
+            newest: byMetric('year', -1),
+            'budget-asc': byMetric('budget', 1),
+            'budget-desc': byMetric('budget', -1),
+            'area-desc': byMetric('area', -1),
+            'area-asc': byMetric('area', 1),
+            'duration-asc': byMetric('duration', 1),
+            'duration-desc': byMetric('duration', -1)
+        };
+
+        return comparators[mode] || null;
+    }
+
+    /**
+     * Loaded projects that pass the filters and search, in the current sort order
+     */
+    getMatchingIds() {
+        const comparator = this.getSortComparator(this.currentSort);
+
+        // Sort from catalog order so ties always fall back to it (Array#sort is stable)
+        return this.projectOrder
+            .filter(id => {
+                const project = this.portfolioData[id];
+                return PortfolioFacets.matches(project, this.activeFacets) && this.matchesSearch(project);
+            })
+            .sort((a, b) => comparator(this.portfolioData[a], this.portfolioData[b]));
+    }
+
+    renderGrid() {
+        this.matchingIds = this.getMatchingIds();
+        const isMap = this.currentLayout === 'map';
+
+        if (this.virtualGrid) {
+            this.virtualGrid.setItems(isMap ? [] : this.matchingIds);
+        }
+
+        if (isMap) {
+            this.updateMap();
+        }
+    }
+
+    /**
+     * Plot the current matches on the map, created the first time it's shown
+     */
+    updateMap() {
+        if (!this.mapView) return;
+
+        if (!this.portfolioMap) {
+            this.portfolioMap = new PortfolioMap(this.mapView, {
+                mapUrl: this.config.mapUrl,
+                onOpenProject: projectId => this.openProjectModal(projectId)
+            });
+        }
+
+        this.portfolioMap.setProjects(this.matchingIds.map(id => this.portfolioData[id]));
+    }
+
+    reorderGrid(animate = true) {
+        if (!this.portfolioGrid) return;
+
+        const shouldAnimate = animate && !BrowserUtils.prefersReducedMotion() && typeof Element.prototype.animate === 'function';
+        const firstRects = new Map();
+        if (shouldAnimate) {
+            this.portfolioItems.forEach(item => firstRects.set(item, item.getBoundingClientRect()));
         }
-        return null;
+
+        this.renderGrid();
+
+        if (!shouldAnimate) return;
+
+        // FLIP: play each card that stays rendered from its old position to its new one
+        this.portfolioItems.forEach(item => {
+            const first = firstRects.get(item);
+            if (!first) return;
+
+            const last = item.getBoundingClientRect();
+            const deltaX = first.left - last.left;
+            const deltaY = first.top - last.top;
+
+            if (!deltaX && !deltaY) return;
+
+            item.animate([
+                { transform: `translate(${deltaX}px, ${deltaY}px)` },
+                { transform: 'translate(0, 0)' }
+            ], {
+                duration: 450,
+                easing: 'cubic-bezier(0.4, 0, 0.2, 1)'
+            });
+        });
+    }
+
+    getProjectId(item) {
+        return item.dataset.projectId || null;
     }
 
-    openProjectModal(projectId) {
+    openProjectModal(projectId, { updateHistory = true } = {}) {
         const project = this.portfolioData[projectId];
         if (!project) return;
 
+        this.modalProjectId = projectId;
         this.populateModal(project);
         this.showModal();
+
+        if (updateHistory) {
+            this.navigateTo(this.buildRoute(projectId));
+        }
         
         // Track modal open
         this.trackModalOpen(projectId);
@@ -283,21 +821,28 @@ class PortfolioManager {
         
         if (modalBody) {
             modalBody.innerHTML = this.generateModalContent(project);
+            BeforeAfterSlider.mountAll(modalBody);
+            this.updateShortlistToggles();
         }
     }
 
     generateModalContent(project) {
+        const esc = ValidationUtils.sanitizeHTML;
+
         return `
             <div class="project-details">
                 <div class="project-header">
                     <div class="project-image">
-                        <img src="${project.images[0]}" alt="${project.title}" loading="lazy">
+                        ${ResponsiveImages.picture(project.images[0], {
+                            alt: project.title,
+                            sizes: '(max-width: 768px) 100vw, 50vw'
+                        })}
                     </div>
                     <div class="project-info">
                         <div class="project-meta">
                             <div class="meta-item">
                                 <i class="fas fa-map-marker-alt"></i>
-                                <span>${project.location}</span>
+                                <span>${esc(project.location)}</span>
                             </div>
                             <div class="meta-item">
                                 <i class="fas fa-calendar"></i>
@@ -305,42 +850,53 @@ class PortfolioManager {
                             </div>
                             <div class="meta-item">
                                 <i class="fas fa-rupee-sign"></i>
-                                <span>${project.budget}</span>
+                                <span>${esc(project.budget)}</span>
                             </div>
                             <div class="meta-item">
                                 <i class="fas fa-clock"></i>
-                                <span>${project.duration}</span>
+                                <span>${esc(project.duration)}</span>
                             </div>
+                            ${project.area ? `
                             <div class="meta-item">
                                 <i class="fas fa-ruler"></i>
-                                <span>${project.area}</span>
-                            </div>
+                                <span>${esc(project.area)}</span>
+                            </div>` : ''}
+                            ${project.client ? `
                             <div class="meta-item">
                                 <i class="fas fa-user"></i>
-                                <span>${project.client}</span>
-                            </div>
+                                <span>${esc(project.client)}</span>
+                            </div>` : ''}
                         </div>
                     </div>
                 </div>
                 
                 <div class="project-description">
                     <h4>Project Overview</h4>
-                    <p>${project.description}</p>
+                    <p>${esc(project.description || project.summary || '')}</p>
                 </div>
                 
                 <div class="project-features">
                     <h4>Key Features</h4>
                     <ul>
-                        ${project.features.map(feature => `<li><i class="fas fa-check"></i> ${feature}</li>`).join('')}
+                        ${(project.features || []).map(feature => `<li><i class="fas fa-check"></i> ${esc(feature)}</li>`).join('')}
                     </ul>
                 </div>
-                
+
+                ${(project.beforeAfter || []).length ? `
+                <div class="project-before-after">
+                    <h4>Before &amp; After</h4>
+                    ${project.beforeAfter.map(pair => BeforeAfterSlider.template(pair, project.title)).join('')}
+                </div>` : ''}
+
                 <div class="project-gallery">
                     <h4>Project Gallery</h4>
                     <div class="modal-gallery">
                         ${project.images.map((img, index) => `
-                            <div class="gallery-thumb" onclick="openImageGallery('${Object.keys(this.portfolioData).find(key => this.portfolioData[key] === project)}', ${index})">
-                                <img src="${img}" alt="${project.title} - Image ${index + 1}" loading="lazy">
+                            <div class="gallery-thumb" onclick="openImageGallery('${project.id}', ${index})">
+                                ${ResponsiveImages.picture(img, {
+                                    alt: `${project.title} - Image ${index + 1}`,
+                                    sizes: '(max-width: 768px) 50vw, 200px'
+                                })}
                             </div>
                         `).join('')}
                     </div>
@@ -351,128 +907,1457 @@ class PortfolioManager {
                         <i class="fas fa-phone"></i>
                         Start Similar Project
                     </button>
-                    <button class="btn btn-outline" onclick="shareProject('${project.title}')">
+                    <button class="btn btn-outline shortlist-toggle" data-shortlist-toggle="${project.id}" aria-pressed="false" onclick="toggleShortlist('${project.id}')">
+                        <i class="far fa-heart"></i>
+                        <span class="shortlist-toggle-label">Save to Shortlist</span>
+                    </button>
+                    <button class="btn btn-outline" onclick="shareProject('${project.id}')">
                         <i class="fas fa-share-alt"></i>
                         Share Project
                     </button>
+                    <button class="btn btn-outline spec-sheet-export" onclick="exportSpecSheet('${project.id}')">
+                        <i class="fas fa-file-pdf"></i>
+                        Export Spec Sheet
+                    </button>
+                    <button class="btn btn-outline" onclick="exportSpecSheet('${project.id}', 'print')">
+                        <i class="fas fa-print"></i>
+                        Print
+                    </button>
                 </div>
+
+                ${this.generateSimilarProjects(project)}
             </div>
         `;
     }
 
-    showModal() {
-        if (this.modal) {
-            this.modal.style.display = 'flex';
-            document.body.style.overflow = 'hidden';
-            
-            // Animate modal
-            setTimeout(() => {
-                this.modal.classList.add('active');
-            }, 10);
+    /**
+     * "Similar projects" strip, drawn from the projects loaded so far
+     */
+    generateSimilarProjects(project) {
+        const matches = PortfolioSimilar.find(project, this.projectOrder.map(id => this.portfolioData[id]));
+        if (!matches.length) return '';
+
+        const esc = ValidationUtils.sanitizeHTML;
+
+        return `
+            <div class="project-similar">
+                <h4>Similar Projects</h4>
+                <ul class="similar-list">
+                    ${matches.map(({ project: similar, reasons }) => `
+                        <li>
+                            <button type="button" class="similar-card" onclick="openSimilarProject('${similar.id}')">
+                                ${ResponsiveImages.picture(similar.images[0], { sizes: '(max-width: 768px) 100vw, 280px' })}
+                                <span class="similar-info">
+                                    <strong>${esc(similar.title)}</strong>
+                                    <span>${esc(similar.location)} · ${esc(similar.budget)}</span>
+                                    ${reasons.length ? `<span class="similar-reasons">${reasons.slice(0, 2).join(' · ')}</span>` : ''}
+                                </span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Swap the open modal to a recommended project; Back returns to the one before
+     */
+    openSimilarProject(projectId) {
+        const fromProjectId = this.modalProjectId;
+
+        this.openProjectModal(projectId);
+
+        const modalContent = this.modal && this.modal.querySelector('.modal-content');
+        if (modalContent) {
+            modalContent.scrollTop = 0;
+        }
+        const modalTitle = document.getElementById('modal-title');
+        if (modalTitle) {
+            modalTitle.setAttribute('tabindex', '-1');
+            modalTitle.focus();
+        }
+
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'similar_project_click', {
+                'project_id': projectId,
+                'from_project_id': fromProjectId,
+                'event_category': 'portfolio'
+            });
         }
     }
 
-    closeModal() {
+    showModal() {
         if (this.modal) {
-            this.modal.classList.remove('active');
+            this.modal.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
             
+            // Animate modal
             setTimeout(() => {
-                this.modal.style.display = 'none';
+                this.modal.classList.add('active');
+            }, 10);
+        }
+    }
+
+    closeModal({ updateHistory = true } = {}) {
+        if (!this.isModalOpen()) return;
+
+        this.modal.classList.remove('active');
+        this.modalProjectId = null;
+
+        setTimeout(() => {
+            // Reopened while fading out (e.g. Back from the gallery straight into the modal)
+            if (this.modal.classList.contains('active')) return;
+
+            this.modal.style.display = 'none';
+            document.body.style.overflow = '';
+        }, 300);
+
+        if (updateHistory) {
+            this.leaveRoute('');
+        }
+    }
+
+    isModalOpen() {
+        return Boolean(this.modal) && this.modal.style.display === 'flex' && this.modalProjectId !== null;
+    }
+
+    openImageGallery(projectId, startIndex = 0, { updateHistory = true } = {}) {
+        const project = this.portfolioData[projectId];
+        if (!project) return;
+
+        // Walkthrough videos follow the photos, then before/after comparison slides and 360° panoramas
+        const videos = project.videos || [];
+        const pairs = project.beforeAfter || [];
+        const panoramas = project.panoramas || [];
+        this.currentGalleryImages = [...project.images, ...videos, ...pairs, ...panoramas];
+        this.currentGalleryCaptions = [
+            ...project.images.map((img, index) => (project.captions && project.captions[index]) || ''),
+            ...videos.map(video => video.caption || 'Video walkthrough'),
+            ...pairs.map(pair => pair.caption || 'Before and after'),
+            ...panoramas.map(panorama => panorama.caption || '360° view')
+        ];
+        this.currentGalleryTitle = project.title;
+        this.currentImageIndex = Math.min(Math.max(startIndex, 0), this.currentGalleryImages.length - 1);
+        this.galleryProjectId = projectId;
+        
+        this.showImageGallery();
+        this.updateGalleryImage();
+        this.updateGalleryThumbnails();
+        this.updateSlideshowButton();
+
+        if (updateHistory) {
+            this.navigateTo(this.buildRoute(projectId, this.currentImageIndex));
+        }
+    }
+
+    showImageGallery() {
+        if (this.galleryModal) {
+            this.galleryModal.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
+        }
+    }
+
+    closeImageGallery({ updateHistory = true } = {}) {
+        if (!this.isGalleryOpen()) return;
+
+        this.stopSlideshow();
+        // Hidden elements don't get mouseleave/focusout, so drop their holds here
+        this.slideshow.pauseReasons.clear();
+        this.exitFullscreen();
+
+        this.galleryModal.style.display = 'none';
+        this.galleryProjectId = null;
+
+        if (this.galleryGestures) {
+            this.galleryGestures.reset();
+        }
+        this.destroyPanorama();
+        this.destroyGalleryVideo();
+        this.closeHotspot();
+
+        // The project modal may still be open underneath
+        if (!this.isModalOpen()) {
+            document.body.style.overflow = '';
+        }
+
+        if (updateHistory) {
+            this.leaveRoute(this.isModalOpen() ? this.buildRoute(this.modalProjectId) : '');
+        }
+    }
+
+    isGalleryOpen() {
+        return Boolean(this.galleryModal) && this.galleryModal.style.display === 'flex';
+    }
+
+    updateGalleryImage() {
+        const item = this.currentGalleryImages[this.currentImageIndex];
+        if (!item) return;
+
+        const galleryImage = document.getElementById('gallery-image');
+        const galleryStage = document.getElementById('gallery-stage');
+        const galleryCompare = document.getElementById('gallery-compare');
+        const galleryPanorama = document.getElementById('gallery-panorama');
+        const galleryVideo = document.getElementById('gallery-video');
+        const slideType = this.getGallerySlideType(item);
+        const isComparison = slideType === 'comparison';
+        const isPhoto = slideType === 'image';
+
+        // Each image starts unzoomed, and media from the previous slide stops
+        if (this.galleryGestures) {
+            this.galleryGestures.reset();
+        }
+        this.destroyPanorama();
+        this.destroyGalleryVideo();
+
+        if (galleryStage) {
+            galleryStage.hidden = !isPhoto;
+        }
+
+        const caption = this.currentGalleryCaptions[this.currentImageIndex] || '';
+
+        if (galleryImage) {
+            galleryImage.hidden = !isPhoto;
+            if (isPhoto) {
+                galleryImage.src = item;
+                galleryImage.alt = caption || `${this.currentGalleryTitle} - image ${this.currentImageIndex + 1}`;
+
+                // Soft crossfade between slideshow images
+                if (this.slideshow.isPlaying && !BrowserUtils.prefersReducedMotion() && typeof galleryImage.animate === 'function') {
+                    galleryImage.animate([{ opacity: 0 }, { opacity: 1 }], { duration: 400, easing: 'ease-out' });
+                }
+            }
+        }
+
+        if (galleryCompare) {
+            galleryCompare.hidden = !isComparison;
+            galleryCompare.innerHTML = isComparison
+                ? BeforeAfterSlider.template(item, this.currentGalleryTitle)
+                : '';
+            BeforeAfterSlider.mountAll(galleryCompare);
+        }
+
+        this.closeHotspot();
+        this.renderHotspots(isPhoto ? this.currentImageIndex : null);
+
+        if (galleryVideo) {
+            galleryVideo.hidden = slideType !== 'video';
+            if (slideType === 'video') {
+                this.mountGalleryVideo(galleryVideo, item, caption);
+            }
+        }
+
+        if (galleryPanorama) {
+            galleryPanorama.hidden = slideType !== 'panorama';
+            if (slideType === 'panorama') {
+                this.panoramaViewer = new PanoramaViewer(galleryPanorama, item.src, {
+                    yaw: item.yaw || 0,
+                    label: caption || `${this.currentGalleryTitle} - 360° view`
+                });
+            }
+        }
+
+        const captionElement = document.getElementById('gallery-caption');
+        if (captionElement) {
+            captionElement.textContent = caption;
+        }
+
+        const counter = document.getElementById('gallery-counter');
+        if (counter) {
+            counter.textContent = `${this.currentImageIndex + 1} / ${this.currentGalleryImages.length}`;
+        }
+
+        this.preloadAdjacentImages();
+
+        // Any image change, manual or automatic, gives the new image a full interval
+        if (this.slideshow.isPlaying) {
+            this.scheduleNextSlide(this.config.slideshowInterval);
+        }
+    }
+
+    /**
+     * Gallery slides are photo URLs, videos, before/after pairs or panoramas
+     */
+    getGallerySlideType(item) {
+        if (typeof item === 'string') return 'image';
+        if (item.sources) return 'video';
+        return item.before ? 'comparison' : 'panorama';
+    }
+
+    /**
+     * Build the player only when its slide is shown; nothing but the poster loads until Play
+     */
+    mountGalleryVideo(container, video, caption) {
+        const esc = ValidationUtils.sanitizeHTML;
+
+        container.innerHTML = `
+            <video controls playsinline preload="none" poster="${esc(video.poster)}"
+                   aria-label="${esc(caption || `${this.currentGalleryTitle} - video walkthrough`)}">
+                ${video.sources.map(source => `<source src="${esc(source.src)}"${source.type ? ` type="${esc(source.type)}"` : ''}>`).join('')}
+                ${video.track ? `<track kind="captions" src="${esc(video.track.src)}" srclang="${esc(video.track.srclang || 'en')}" label="${esc(video.track.label || 'English')}" default>` : ''}
+                <a href="${esc(video.sources[0].src)}">Download the video</a>
+            </video>
+        `;
+
+        const player = container.querySelector('video');
+
+        // A playing video holds the slideshow; it carries on once the video stops
+        player.addEventListener('play', () => {
+            this.pauseSlideshow('video');
+            this.trackVideoPlay();
+        });
+        player.addEventListener('pause', () => this.resumeSlideshow('video'));
+        player.addEventListener('ended', () => this.resumeSlideshow('video'));
+    }
+
+    /**
+     * Stop playback and any download in progress when leaving a video slide
+     */
+    destroyGalleryVideo() {
+        const container = document.getElementById('gallery-video');
+        const player = container && container.querySelector('video');
+        if (!player) return;
+
+        player.pause();
+        player.querySelectorAll('source').forEach(source => source.remove());
+        player.removeAttribute('src');
+        player.load();
+        container.innerHTML = '';
+
+        this.resumeSlideshow('video');
+    }
+
+    trackVideoPlay() {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'video_play', {
+                'project_id': this.galleryProjectId,
+                'event_category': 'portfolio'
+            });
+        }
+    }
+
+    destroyPanorama() {
+        if (this.panoramaViewer) {
+            this.panoramaViewer.destroy();
+            this.panoramaViewer = null;
+        }
+    }
+
+    // Hotspots: material and product notes pinned to gallery photos
+    setupHotspotEvents() {
+        const layer = document.getElementById('gallery-hotspots');
+        const popover = document.getElementById('gallery-hotspot-popover');
+        if (!layer || !popover) return;
+
+        layer.addEventListener('click', (e) => {
+            const marker = e.target.closest('[data-hotspot-index]');
+            if (!marker) return;
+
+            const index = parseInt(marker.dataset.hotspotIndex, 10);
+            if (this.activeHotspot === index) {
+                this.closeHotspot({ restoreFocus: true });
+            } else {
+                this.openHotspot(index);
+            }
+        });
+
+        // Presses inside the popover are not swipes or pans of the photo
+        popover.addEventListener('pointerdown', (e) => e.stopPropagation());
+
+        popover.addEventListener('click', (e) => {
+            if (e.target.closest('.hotspot-popover-close')) {
+                this.closeHotspot({ restoreFocus: true });
+            } else if (e.target.closest('.hotspot-ask')) {
+                this.askAboutHotspot(this.currentHotspots[this.activeHotspot]);
+            }
+        });
+    }
+
+    /**
+     * Hotspots defined for one photo of the open project
+     */
+    getHotspots(imageIndex) {
+        const project = this.portfolioData[this.galleryProjectId];
+        if (!project || imageIndex === null) return [];
+
+        return (project.hotspots || []).filter(hotspot => hotspot.image === imageIndex);
+    }
+
+    renderHotspots(imageIndex) {
+        const layer = document.getElementById('gallery-hotspots');
+        if (!layer) return;
+
+        this.currentHotspots = this.getHotspots(imageIndex);
+        layer.hidden = !this.currentHotspots.length;
+
+        const esc = ValidationUtils.sanitizeHTML;
+        layer.innerHTML = this.currentHotspots.map((hotspot, index) => `
+            <button type="button" class="gallery-hotspot"
+                    style="left: ${hotspot.x * 100}%; top: ${hotspot.y * 100}%;"
+                    data-hotspot-index="${index}"
+                    aria-label="${esc(hotspot.label)}${hotspot.detail ? `, ${esc(hotspot.detail)}` : ''}"
+                    aria-expanded="false"
+                    aria-controls="gallery-hotspot-popover">
+                <span class="hotspot-dot" aria-hidden="true"></span>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Keep markers on their spot while the photo is zoomed or panned, without growing with it
+     */
+    updateHotspotTransform(transform, scale) {
+        const layer = document.getElementById('gallery-hotspots');
+        if (!layer) return;
+
+        layer.style.transform = transform;
+        layer.style.setProperty('--hotspot-scale', 1 / scale);
+
+        // The popover is placed for the old position
+        this.closeHotspot();
+    }
+
+    openHotspot(index) {
+        const hotspot = this.currentHotspots[index];
+        const marker = document.querySelector(`#gallery-hotspots [data-hotspot-index="${index}"]`);
+        const popover = document.getElementById('gallery-hotspot-popover');
+        const stage = document.getElementById('gallery-stage');
+        if (!hotspot || !marker || !popover || !stage) return;
+
+        this.closeHotspot();
+        this.activeHotspot = index;
+        marker.setAttribute('aria-expanded', 'true');
+        marker.classList.add('active');
+
+        popover.innerHTML = `
+            <button type="button" class="hotspot-popover-close" aria-label="Close">&times;</button>
+            <strong class="hotspot-popover-title" id="hotspot-popover-title">${ValidationUtils.sanitizeHTML(hotspot.label)}</strong>
+            ${hotspot.detail ? `<p class="hotspot-popover-detail">${ValidationUtils.sanitizeHTML(hotspot.detail)}</p>` : ''}
+            <button type="button" class="btn btn-primary hotspot-ask">
+                <i class="fas fa-comment-dots"></i> Ask about this
+            </button>
+        `;
+
+        // Open towards the middle of the photo so the popover stays inside it
+        const stageRect = stage.getBoundingClientRect();
+        const markerRect = marker.getBoundingClientRect();
+        const x = markerRect.left + markerRect.width / 2 - stageRect.left;
+        const y = markerRect.top + markerRect.height / 2 - stageRect.top;
+
+        popover.style.left = `${x}px`;
+        popover.style.top = `${y}px`;
+        popover.classList.toggle('is-left', x > stageRect.width / 2);
+        popover.classList.toggle('is-above', y > stageRect.height / 2);
+        popover.hidden = false;
+
+        popover.querySelector('.hotspot-ask').focus();
+        this.pauseSlideshow('hotspot');
+        this.trackHotspot('hotspot_open', hotspot);
+    }
+
+    closeHotspot({ restoreFocus = false } = {}) {
+        if (!this.isHotspotOpen()) return;
+
+        const index = this.activeHotspot;
+        const marker = document.querySelector(`#gallery-hotspots [data-hotspot-index="${index}"]`);
+        const popover = document.getElementById('gallery-hotspot-popover');
+
+        this.activeHotspot = null;
+        popover.hidden = true;
+        popover.innerHTML = '';
+
+        if (marker) {
+            marker.setAttribute('aria-expanded', 'false');
+            marker.classList.remove('active');
+            if (restoreFocus) {
+                marker.focus();
+            }
+        }
+
+        this.resumeSlideshow('hotspot');
+    }
+
+    isHotspotOpen() {
+        return this.activeHotspot !== null;
+    }
+
+    /**
+     * Start a contact message about a hotspot's item and take the visitor to the form
+     */
+    askAboutHotspot(hotspot) {
+        const project = this.portfolioData[this.galleryProjectId];
+        const form = document.getElementById('contact-form');
+        const message = form && form.querySelector('[name="message"]');
+        if (!hotspot || !project || !message) return;
+
+        const item = hotspot.detail ? `${hotspot.label} (${hotspot.detail})` : hotspot.label;
+        const line = `I'm interested in the ${item} from your "${project.title}" project. Could you share more details?`;
+
+        // Add to anything already typed rather than replacing it
+        const existing = message.value.trim();
+        if (!existing.includes(line)) {
+            message.value = existing ? `${existing}\n${line}` : line;
+        }
+
+        this.trackHotspot('hotspot_inquiry', hotspot);
+
+        // Like an in-page link: Back returns to this photo
+        this.closeImageGallery({ updateHistory: false });
+        this.closeModal({ updateHistory: false });
+        window.history.pushState(null, '', '#contact');
+
+        // The message box is on the quote wizard's last step. Categories that name a property type
+        // pre-select it; a residential project could be a flat or a house, so that's left to the visitor
+        const propertyTypes = { commercial: 'office', retail: 'retail' };
+        const app = window.InteriorDesignApp;
+        if (app && app.quoteWizard) {
+            if (propertyTypes[project.category]) {
+                app.quoteWizard.suggestPropertyType(propertyTypes[project.category]);
+            }
+            app.quoteWizard.showField(message);
+        }
+
+        const contactSection = document.getElementById('contact');
+        if (contactSection && window.NavigationManager) {
+            window.NavigationManager.scrollToElement(contactSection);
+        } else if (contactSection) {
+            contactSection.scrollIntoView({ behavior: 'smooth' });
+        }
+        message.focus({ preventScroll: true });
+
+        this.notify('We\'ve added this item to your message.', 'success');
+    }
+
+    trackHotspot(action, hotspot) {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', action, {
+                'project_id': this.galleryProjectId,
+                'hotspot_label': hotspot.label,
+                'event_category': 'portfolio'
+            });
+        }
+    }
+
+    preloadAdjacentImages() {
+        const count = this.currentGalleryImages.length;
+        if (count < 2) return;
+
+        const neighbours = [
+            this.currentGalleryImages[(this.currentImageIndex + 1) % count],
+            this.currentGalleryImages[(this.currentImageIndex - 1 + count) % count]
+        ];
+
+        neighbours.forEach(item => {
+            const sources = {
+                image: () => [item],
+                video: () => [item.poster],
+                comparison: () => [item.before, item.after],
+                panorama: () => [item.src]
+            }[this.getGallerySlideType(item)]();
+            sources.forEach(src => {
+                if (this.preloadedImages.has(src)) return;
+
+                this.preloadedImages.add(src);
+                const image = new Image();
+                image.decoding = 'async';
+                image.src = src;
+            });
+        });
+    }
+
+    // Slideshow
+    setupSlideshowEvents() {
+        const playBtn = document.querySelector('.gallery-play');
+        const fullscreenBtn = document.querySelector('.gallery-fullscreen');
+        const galleryContainer = document.querySelector('.gallery-container');
+        const thumbnails = document.getElementById('gallery-thumbnails');
+
+        if (playBtn) {
+            playBtn.addEventListener('click', () => this.toggleSlideshow());
+        }
+
+        if (fullscreenBtn) {
+            if (this.isFullscreenSupported()) {
+                fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
+            } else {
+                fullscreenBtn.hidden = true;
+            }
+        }
+
+        document.addEventListener('fullscreenchange', () => this.updateFullscreenButton());
+        document.addEventListener('webkitfullscreenchange', () => this.updateFullscreenButton());
+
+        // Pause while the user is looking at or working in the gallery
+        [galleryContainer, thumbnails].forEach(element => {
+            if (!element) return;
+
+            element.addEventListener('mouseenter', () => this.pauseSlideshow('hover'));
+            element.addEventListener('mouseleave', () => this.resumeSlideshow('hover'));
+            element.addEventListener('focusin', () => this.pauseSlideshow('focus'));
+            element.addEventListener('focusout', (e) => {
+                if (!element.contains(e.relatedTarget)) {
+                    this.resumeSlideshow('focus');
+                }
+            });
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseSlideshow('hidden');
+            } else {
+                this.resumeSlideshow('hidden');
+            }
+        });
+    }
+
+    toggleSlideshow() {
+        if (this.slideshow.isPlaying) {
+            this.stopSlideshow();
+        } else {
+            this.startSlideshow();
+        }
+    }
+
+    startSlideshow() {
+        if (this.currentGalleryImages.length < 2) return;
+
+        this.slideshow.isPlaying = true;
+        this.updateSlideshowButton();
+        this.scheduleNextSlide(this.config.slideshowInterval);
+    }
+
+    stopSlideshow() {
+        clearTimeout(this.slideshow.timer);
+        this.slideshow.timer = null;
+        this.slideshow.isPlaying = false;
+        this.updateSlideshowButton();
+        this.resetSlideshowProgress();
+    }
+
+    scheduleNextSlide(delay) {
+        clearTimeout(this.slideshow.timer);
+        this.slideshow.remaining = delay;
+        this.startSlideshowProgress(delay);
+
+        if (this.slideshow.pauseReasons.size) {
+            this.slideshow.timer = null;
+            this.pauseSlideshowProgress();
+            return;
+        }
+
+        this.slideshow.startedAt = performance.now();
+        this.slideshow.timer = setTimeout(() => this.nextImage(), delay);
+    }
+
+    pauseSlideshow(reason) {
+        const wasRunning = this.slideshow.pauseReasons.size === 0;
+        this.slideshow.pauseReasons.add(reason);
+
+        if (!this.slideshow.isPlaying || !wasRunning || !this.slideshow.timer) return;
+
+        clearTimeout(this.slideshow.timer);
+        this.slideshow.timer = null;
+        this.slideshow.remaining = Math.max(0, this.slideshow.remaining - (performance.now() - this.slideshow.startedAt));
+        this.pauseSlideshowProgress();
+    }
+
+    resumeSlideshow(reason) {
+        if (!this.slideshow.pauseReasons.delete(reason)) return;
+        if (!this.slideshow.isPlaying || this.slideshow.pauseReasons.size) return;
+
+        this.slideshow.startedAt = performance.now();
+        this.slideshow.timer = setTimeout(() => this.nextImage(), this.slideshow.remaining);
+        if (this.slideshow.progressAnimation) {
+            this.slideshow.progressAnimation.play();
+        }
+    }
+
+    startSlideshowProgress(duration) {
+        const progress = document.querySelector('.gallery-progress');
+        const bar = document.querySelector('.gallery-progress-bar');
+        this.resetSlideshowProgress();
+
+        // With reduced motion the counter alone shows where the slideshow is
+        if (!progress || !bar || BrowserUtils.prefersReducedMotion() || typeof bar.animate !== 'function') return;
+
+        progress.classList.add('active');
+        this.slideshow.progressAnimation = bar.animate([
+            { transform: 'scaleX(0)' },
+            { transform: 'scaleX(1)' }
+        ], {
+            duration,
+            easing: 'linear',
+            fill: 'forwards'
+        });
+    }
+
+    pauseSlideshowProgress() {
+        if (this.slideshow.progressAnimation) {
+            this.slideshow.progressAnimation.pause();
+        }
+    }
+
+    resetSlideshowProgress() {
+        if (this.slideshow.progressAnimation) {
+            this.slideshow.progressAnimation.cancel();
+            this.slideshow.progressAnimation = null;
+        }
+
+        const progress = document.querySelector('.gallery-progress');
+        if (progress) {
+            progress.classList.remove('active');
+        }
+    }
+
+    updateSlideshowButton() {
+        const playBtn = document.querySelector('.gallery-play');
+        if (!playBtn) return;
+
+        const isPlaying = this.slideshow.isPlaying;
+        playBtn.setAttribute('aria-pressed', String(isPlaying));
+        playBtn.setAttribute('aria-label', isPlaying ? 'Pause slideshow' : 'Start slideshow');
+        playBtn.innerHTML = `<i class="fas fa-${isPlaying ? 'pause' : 'play'}"></i>`;
+        playBtn.hidden = this.currentGalleryImages.length < 2;
+    }
+
+    // Fullscreen
+    isFullscreenSupported() {
+        return Boolean(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+    }
+
+    getFullscreenElement() {
+        return document.fullscreenElement || document.webkitFullscreenElement || null;
+    }
+
+    toggleFullscreen() {
+        if (this.getFullscreenElement()) {
+            this.exitFullscreen();
+            return;
+        }
+
+        if (!this.galleryModal) return;
+
+        const request = this.galleryModal.requestFullscreen || this.galleryModal.webkitRequestFullscreen;
+        if (request) {
+            Promise.resolve(request.call(this.galleryModal)).catch(error => {
+                console.warn('Fullscreen request failed:', error);
+            });
+        }
+    }
+
+    exitFullscreen() {
+        if (!this.getFullscreenElement()) return;
+
+        const exit = document.exitFullscreen || document.webkitExitFullscreen;
+        if (exit) {
+            Promise.resolve(exit.call(document)).catch(() => {});
+        }
+    }
+
+    updateFullscreenButton() {
+        const fullscreenBtn = document.querySelector('.gallery-fullscreen');
+        const isFullscreen = Boolean(this.galleryModal) && this.getFullscreenElement() === this.galleryModal;
+
+        if (this.galleryModal) {
+            this.galleryModal.classList.toggle('is-fullscreen', isFullscreen);
+        }
+        if (fullscreenBtn) {
+            fullscreenBtn.setAttribute('aria-label', isFullscreen ? 'Exit full screen' : 'Enter full screen');
+            fullscreenBtn.innerHTML = `<i class="fas fa-${isFullscreen ? 'compress' : 'expand'}"></i>`;
+        }
+    }
+
+    updateGalleryThumbnails() {
+        const thumbnailContainer = document.getElementById('gallery-thumbnails');
+        if (!thumbnailContainer) return;
+
+        const thumbnails = {
+            image: img => ({ src: img, label: 'Thumbnail', className: '' }),
+            video: img => ({ src: img.poster, label: 'Video walkthrough', className: 'is-video' }),
+            comparison: img => ({ src: img.after, label: 'Before and after comparison', className: 'is-comparison' }),
+            panorama: img => ({ src: img.src, label: '360° panorama', className: 'is-panorama' })
+        };
+
+        thumbnailContainer.innerHTML = this.currentGalleryImages.map((img, index) => {
+            const thumbnail = thumbnails[this.getGallerySlideType(img)](img);
+            const thumbnailImage = `
+                <img src="${ValidationUtils.sanitizeHTML(thumbnail.src)}"
+                     alt="${thumbnail.label} ${index + 1}"
+                     class="gallery-thumbnail ${thumbnail.className} ${index === this.currentImageIndex ? 'active' : ''}"
+                     onclick="setGalleryImage(${index})"
+                     loading="lazy">
+            `;
+
+            // Videos get a play badge over the poster
+            return thumbnail.className === 'is-video'
+                ? `<span class="gallery-thumbnail-video">${thumbnailImage}<i class="fas fa-play" aria-hidden="true"></i></span>`
+                : thumbnailImage;
+        }).join('');
+    }
+
+    previousImage() {
+        this.currentImageIndex = this.currentImageIndex > 0 
+            ? this.currentImageIndex - 1 
+            : this.currentGalleryImages.length - 1;
+        
+        this.updateGalleryImage();
+        this.updateGalleryThumbnails();
+        this.updateGalleryRoute();
+    }
+
+    nextImage() {
+        this.currentImageIndex = this.currentImageIndex < this.currentGalleryImages.length - 1 
+            ? this.currentImageIndex + 1 
+            : 0;
+        
+        this.updateGalleryImage();
+        this.updateGalleryThumbnails();
+        this.updateGalleryRoute();
+    }
+
+    setGalleryImage(index) {
+        this.currentImageIndex = index;
+        this.updateGalleryImage();
+        this.updateGalleryThumbnails();
+        this.updateGalleryRoute();
+    }
+
+    updateGalleryRoute() {
+        // Stepping through images replaces the entry so Back closes the gallery
+        if (this.galleryProjectId) {
+            this.navigateTo(this.buildRoute(this.galleryProjectId, this.currentImageIndex), { replace: true });
+        }
+    }
+
+    handleKeyboardNavigation(e) {
+        if (this.isShortlistOpen()) {
+            if (e.key === 'Escape') {
+                this.closeShortlist();
+            }
+            return;
+        }
+
+        if (this.isGalleryOpen()) {
+            switch (e.key) {
+                case 'Escape':
+                    // First Escape closes a hotspot or leaves zoom, the next closes the gallery
+                    if (this.isHotspotOpen()) {
+                        this.closeHotspot({ restoreFocus: true });
+                    } else if (this.galleryGestures && this.galleryGestures.isZoomed()) {
+                        this.galleryGestures.reset(true);
+                    } else {
+                        this.closeImageGallery();
+                    }
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowRight':
+                    // Arrow keys on a focused video seek it instead
+                    if (e.target.closest && e.target.closest('video')) break;
+
+                    if (e.key === 'ArrowLeft') {
+                        this.previousImage();
+                    } else {
+                        this.nextImage();
+                    }
+                    break;
+            }
+            // Escape in the gallery shouldn't also close the modal behind it
+            return;
+        }
+        
+        if (this.isModalOpen()) {
+            if (e.key === 'Escape') {
+                this.closeModal();
+            }
+        }
+    }
+
+    // Deep links: #/portfolio/<id> opens the project, #/portfolio/<id>/gallery/<n> opens its nth image
+    setupRouting() {
+        window.addEventListener('popstate', () => this.applyRoute());
+        window.addEventListener('hashchange', () => this.applyRoute());
+
+        const route = this.parseRoute(window.location.hash);
+        if (!route) return;
+
+        // Put the plain page underneath the deep link so Back closes the modal instead of leaving
+        const deepLink = window.location.hash;
+        window.history.replaceState(null, '', this.getBaseUrl());
+        window.history.pushState({ portfolioRoute: true, parent: '' }, '', deepLink);
+
+        const section = document.getElementById('portfolio');
+        if (section) {
+            section.scrollIntoView();
+        }
+
+        this.applyRoute();
+    }
+
+    parseRoute(hash) {
+        const match = /^#\/portfolio\/([a-z0-9]+(?:-[a-z0-9]+)*)(?:\/gallery\/(\d+))?\/?$/.exec(hash || '');
+        if (!match) return null;
+
+        return {
+            projectId: match[1],
+            // Gallery positions in URLs count from 1
+            galleryIndex: match[2] ? Math.max(parseInt(match[2], 10) - 1, 0) : null
+        };
+    }
+
+    buildRoute(projectId, galleryIndex = null) {
+        const route = `#/portfolio/${projectId}`;
+        return galleryIndex === null ? route : `${route}/gallery/${galleryIndex + 1}`;
+    }
+
+    getBaseUrl() {
+        return `${window.location.pathname}${window.location.search}`;
+    }
+
+    getProjectUrl(projectId) {
+        return new URL(this.buildRoute(projectId), `${window.location.origin}${window.location.pathname}`).toString();
+    }
+
+    navigateTo(hash, { replace = false } = {}) {
+        if (window.location.hash === hash) return;
+
+        if (replace) {
+            window.history.replaceState({ ...window.history.state, portfolioRoute: true }, '', hash);
+        } else {
+            // Remember the route underneath, and how many routes deep we are, so closing can step back
+            const state = window.history.state;
+            const parent = this.parseRoute(window.location.hash) ? window.location.hash : '';
+            const depth = parent && state && state.portfolioRoute ? (state.depth || 1) + 1 : 1;
+            window.history.pushState({ portfolioRoute: true, parent, depth }, '', hash);
+        }
+    }
+
+    /**
+     * Called after the modal or gallery was closed from the page
+     * Steps back when the previous entry is where we're going, so Back/Forward stay in sync
+     */
+    leaveRoute(targetHash) {
+        const state = window.history.state;
+
+        if (state && state.portfolioRoute && state.parent === targetHash) {
+            window.history.back();
+        } else if (state && state.portfolioRoute && !targetHash && state.depth > 1) {
+            // Closing after browsing similar projects: unwind all of them at once
+            window.history.go(-state.depth);
+        } else if (window.location.hash !== targetHash && this.parseRoute(window.location.hash)) {
+            window.history.replaceState(null, '', targetHash || this.getBaseUrl());
+        }
+    }
+
+    async applyRoute() {
+        const token = ++this.routeToken;
+        const route = this.parseRoute(window.location.hash);
+
+        if (!route) {
+            this.closeImageGallery({ updateHistory: false });
+            this.closeModal({ updateHistory: false });
+            return;
+        }
+
+        const project = await this.ensureProjectLoaded(route.projectId);
+        if (token !== this.routeToken) return;
+
+        if (!project) {
+            this.showNotification('Sorry, that project is no longer available.');
+            window.history.replaceState(null, '', this.getBaseUrl());
+            this.closeImageGallery({ updateHistory: false });
+            this.closeModal({ updateHistory: false });
+            return;
+        }
+
+        if (route.galleryIndex !== null) {
+            if (this.modalProjectId && this.modalProjectId !== project.id) {
+                this.closeModal({ updateHistory: false });
+            }
+            if (this.galleryProjectId !== project.id || this.currentImageIndex !== route.galleryIndex) {
+                this.openImageGallery(project.id, route.galleryIndex, { updateHistory: false });
+            }
+            return;
+        }
+
+        this.closeImageGallery({ updateHistory: false });
+        if (this.modalProjectId !== project.id || !this.isModalOpen()) {
+            this.openProjectModal(project.id, { updateHistory: false });
+        }
+    }
+
+    /**
+     * Page through the catalog until a deep-linked project is loaded
+     */
+    async ensureProjectLoaded(projectId) {
+        while (!this.portfolioData[projectId] && this.pagination.hasMore && !this.pagination.isLoading) {
+            const loadedCount = this.projectOrder.length;
+            await this.loadMoreProjects();
+
+            if (this.projectOrder.length === loadedCount) break;
+        }
+
+        return this.portfolioData[projectId] || null;
+    }
+
+    // Shortlist
+    setupShortlist() {
+        this.shortlist.subscribe(() => this.updateShortlistUI());
+
+        if (this.shortlistButton) {
+            this.shortlistButton.addEventListener('click', () => this.openShortlist());
+        }
+
+        if (this.shortlistDrawer) {
+            this.shortlistDrawer.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('[data-shortlist-remove]');
+                const openBtn = e.target.closest('[data-shortlist-open]');
+
+                if (e.target === this.shortlistDrawer || e.target.closest('.shortlist-close')) {
+                    this.closeShortlist();
+                } else if (removeBtn) {
+                    this.toggleShortlist(removeBtn.dataset.shortlistRemove);
+                } else if (openBtn) {
+                    this.closeShortlist({ restoreFocus: false });
+                    this.openProjectModal(openBtn.dataset.shortlistOpen);
+                } else if (e.target.closest('.shortlist-compare')) {
+                    this.showShortlistView('compare');
+                } else if (e.target.closest('.shortlist-back')) {
+                    this.showShortlistView('list');
+                } else if (e.target.closest('.shortlist-send')) {
+                    this.showShortlistView('send');
+                } else if (e.target.closest('.shortlist-whatsapp')) {
+                    this.sendShortlist('whatsapp');
+                } else if (e.target.closest('.shortlist-clear')) {
+                    this.shortlist.clear();
+                    this.announce('Shortlist cleared');
+                }
+            });
+
+            this.shortlistDrawer.addEventListener('submit', (e) => {
+                if (!e.target.matches('.shortlist-send-form')) return;
+
+                e.preventDefault();
+                this.sendShortlist('form');
+            });
+        }
+
+        this.updateShortlistUI();
+    }
+
+    toggleShortlist(projectId) {
+        const project = this.portfolioData[projectId];
+        const title = project ? project.title : 'Project';
+        const isSaved = this.shortlist.toggle(projectId);
+
+        this.announce(isSaved ? `${title} saved to your shortlist` : `${title} removed from your shortlist`);
+        this.trackShortlist(projectId, isSaved);
+    }
+
+    updateShortlistUI() {
+        this.updateShortlistToggles();
+
+        if (this.shortlistButton) {
+            const count = this.shortlist.size;
+            const badge = this.shortlistButton.querySelector('.shortlist-count');
+            if (badge) {
+                badge.textContent = count;
+            }
+            this.shortlistButton.setAttribute('aria-label', `Open shortlist (${count} saved)`);
+        }
+
+        if (this.isShortlistOpen()) {
+            this.renderShortlist();
+        }
+    }
+
+    updateShortlistToggles(root = document) {
+        root.querySelectorAll('[data-shortlist-toggle]').forEach(toggle => {
+            const isSaved = this.shortlist.has(toggle.dataset.shortlistToggle);
+            const icon = toggle.querySelector('i');
+            const label = toggle.querySelector('.shortlist-toggle-label');
+
+            toggle.classList.toggle('is-saved', isSaved);
+            toggle.setAttribute('aria-pressed', String(isSaved));
+            if (icon) {
+                icon.className = `${isSaved ? 'fas' : 'far'} fa-heart`;
+            }
+            if (label) {
+                label.textContent = isSaved ? 'Saved to Shortlist' : 'Save to Shortlist';
+            }
+        });
+    }
+
+    async openShortlist() {
+        if (!this.shortlistDrawer) return;
+
+        this.shortlistReturnFocus = document.activeElement;
+        this.shortlistView = 'list';
+        this.shortlistDrawer.hidden = false;
+        document.body.style.overflow = 'hidden';
+
+        setTimeout(() => {
+            this.shortlistDrawer.classList.add('active');
+        }, 10);
+
+        this.renderShortlist();
+
+        const closeBtn = this.shortlistDrawer.querySelector('.shortlist-close');
+        if (closeBtn) {
+            closeBtn.focus();
+        }
+
+        // Saved projects may sit on pages that haven't loaded yet
+        await this.loadShortlistedProjects();
+        if (this.isShortlistOpen()) {
+            this.renderShortlist();
+        }
+    }
+
+    closeShortlist({ restoreFocus = true } = {}) {
+        if (!this.isShortlistOpen()) return;
+
+        this.shortlistDrawer.classList.remove('active');
+
+        setTimeout(() => {
+            if (this.shortlistDrawer.classList.contains('active')) return;
+
+            this.shortlistDrawer.hidden = true;
+            if (!this.isModalOpen() && !this.isGalleryOpen()) {
                 document.body.style.overflow = '';
-            }, 300);
+            }
+        }, 300);
+
+        if (restoreFocus && this.shortlistReturnFocus && this.shortlistReturnFocus.focus) {
+            this.shortlistReturnFocus.focus();
         }
+        this.shortlistReturnFocus = null;
+    }
+
+    isShortlistOpen() {
+        return Boolean(this.shortlistDrawer) && !this.shortlistDrawer.hidden;
+    }
+
+    async loadShortlistedProjects() {
+        for (const id of this.shortlist.getIds()) {
+            if (this.portfolioData[id]) continue;
+
+            await this.ensureProjectLoaded(id);
+
+            // Only forget a project once the whole catalog has been checked
+            if (!this.portfolioData[id] && !this.pagination.hasMore) {
+                this.shortlist.remove(id);
+            }
+        }
+    }
+
+    getShortlistedProjects() {
+        return this.shortlist.getIds()
+            .map(id => this.portfolioData[id])
+            .filter(Boolean);
+    }
+
+    showShortlistView(view) {
+        this.shortlistView = view;
+        this.renderShortlist();
+    }
+
+    renderShortlist() {
+        const content = this.shortlistDrawer && this.shortlistDrawer.querySelector('#shortlist-content');
+        const footer = this.shortlistDrawer && this.shortlistDrawer.querySelector('.shortlist-footer');
+        if (!content || !footer) return;
+
+        const projects = this.getShortlistedProjects();
+        const pendingCount = this.shortlist.size - projects.length;
+
+        // Comparison needs at least two projects, sending at least one
+        if ((this.shortlistView === 'compare' && projects.length < 2) || !projects.length) {
+            this.shortlistView = 'list';
+        }
+
+        const isComparing = this.shortlistView === 'compare';
+        const isSending = this.shortlistView === 'send';
+        this.shortlistDrawer.classList.toggle('is-comparing', isComparing);
+
+        const title = this.shortlistDrawer.querySelector('#shortlist-title');
+        if (title) {
+            const titles = {
+                compare: 'Compare Projects',
+                send: 'Send Me This Shortlist',
+                list: `Your Shortlist (${this.shortlist.size})`
+            };
+            title.textContent = titles[this.shortlistView];
+        }
+
+        if (isSending) {
+            this.renderShortlistSendForm(content, footer, projects);
+            return;
+        }
+
+        if (!this.shortlist.size) {
+            content.innerHTML = `
+                <div class="shortlist-empty">
+                    <i class="far fa-heart"></i>
+                    <p>Tap the heart on any project to save it here, then compare your favourites side by side.</p>
+                </div>
+            `;
+        } else if (isComparing) {
+            content.innerHTML = this.generateComparisonTable(projects);
+        } else {
+            const esc = ValidationUtils.sanitizeHTML;
+
+            content.innerHTML = `
+                <ul class="shortlist-list">
+                    ${projects.map(project => `
+                        <li class="shortlist-item">
+                            ${ResponsiveImages.picture(project.images[0], { sizes: '72px' })}
+                            <div class="shortlist-item-info">
+                                <h4>${esc(project.title)}</h4>
+                                <p>${esc(project.budget)} • ${esc(project.area || project.duration)} • ${esc(project.metrics.locality)}</p>
+                            </div>
+                            <button type="button" class="btn btn-sm btn-outline" data-shortlist-open="${project.id}">View</button>
+                            <button type="button" class="shortlist-remove" data-shortlist-remove="${project.id}" aria-label="Remove ${esc(project.title)} from shortlist">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+                ${pendingCount > 0 ? '<p class="shortlist-loading"><i class="fas fa-spinner fa-spin"></i> Loading saved projects...</p>' : ''}
+            `;
+        }
+
+        footer.innerHTML = isComparing ? `
+            <button type="button" class="btn btn-outline shortlist-back">
+                <i class="fas fa-arrow-left"></i> Back to Shortlist
+            </button>
+            <button type="button" class="btn btn-primary shortlist-send">
+                <i class="fas fa-paper-plane"></i> Send Me This Shortlist
+            </button>
+        ` : `
+            <button type="button" class="btn btn-primary shortlist-send" ${projects.length ? '' : 'disabled'}>
+                <i class="fas fa-paper-plane"></i> Send Me This Shortlist
+            </button>
+            <button type="button" class="btn btn-outline shortlist-compare" ${projects.length < 2 ? 'disabled' : ''}>
+                <i class="fas fa-columns"></i> Compare
+            </button>
+            <button type="button" class="btn btn-outline shortlist-clear" ${this.shortlist.size ? '' : 'disabled'}>
+                <i class="fas fa-trash-alt"></i> Clear
+            </button>
+        `;
+    }
+
+    renderShortlistSendForm(content, footer, projects) {
+        const projectList = projects.map(project => `
+            <li><strong>${ValidationUtils.sanitizeHTML(project.title)}</strong> <span>${ValidationUtils.sanitizeHTML(project.budget)}</span></li>
+        `).join('');
+
+        // Re-rendering on shortlist changes must not wipe what the visitor has typed
+        const existingList = content.querySelector('.shortlist-send-projects');
+        if (existingList) {
+            existingList.innerHTML = projectList;
+            return;
+        }
+
+        content.innerHTML = `
+            <form class="shortlist-send-form" id="shortlist-send-form" novalidate>
+                <p class="shortlist-send-intro">
+                    Tell us how to reach you and we'll prepare a quote based on these reference projects:
+                </p>
+                <ul class="shortlist-send-projects">${projectList}</ul>
+                <div class="form-group">
+                    <label for="shortlist-name">Name</label>
+                    <input type="text" id="shortlist-name" name="name" required autocomplete="name">
+                </div>
+                <div class="form-group">
+                    <label for="shortlist-email">Email</label>
+                    <input type="email" id="shortlist-email" name="email" required autocomplete="email">
+                </div>
+                <div class="form-group">
+                    <label for="shortlist-phone">Phone</label>
+                    <input type="tel" id="shortlist-phone" name="phone" required autocomplete="tel">
+                </div>
+                <div class="form-group">
+                    <label for="shortlist-message">Anything else we should know? (optional)</label>
+                    <textarea id="shortlist-message" name="message" rows="3"></textarea>
+                </div>
+                <div class="form-honeypot" aria-hidden="true">
+                    <label for="shortlist-fax-only">Leave this field empty</label>
+                    <input type="text" id="shortlist-fax-only" name="fax_only" tabindex="-1" autocomplete="off" data-honeypot>
+                </div>
+            </form>
+        `;
+
+        if (window.SpamGuard) {
+            SpamGuard.watch(content.querySelector('.shortlist-send-form'));
+        }
+
+        footer.innerHTML = `
+            <button type="button" class="btn btn-outline shortlist-back">
+                <i class="fas fa-arrow-left"></i> Back
+            </button>
+            <button type="submit" form="shortlist-send-form" class="btn btn-primary shortlist-submit">
+                <i class="fas fa-paper-plane"></i> Send Request
+            </button>
+            <button type="button" class="btn btn-outline shortlist-whatsapp">
+                <i class="fab fa-whatsapp"></i> WhatsApp
+            </button>
+        `;
     }
 
-    openImageGallery(projectId, startIndex = 0) {
-        const project = this.portfolioData[projectId];
-        if (!project) return;
+    /**
+     * Send the shortlist as a quote request through the contact form backend or WhatsApp
+     */
+    async sendShortlist(channel) {
+        const form = this.shortlistDrawer && this.shortlistDrawer.querySelector('.shortlist-send-form');
+        const projects = this.getShortlistedProjects();
+        if (!form || !projects.length || !window.FormHandler) return;
 
-        this.currentGalleryImages = project.images;
-        this.currentImageIndex = startIndex;
-        
-        this.showImageGallery();
-        this.updateGalleryImage();
-        this.updateGalleryThumbnails();
-    }
+        const fields = Array.from(form.querySelectorAll('input, textarea'));
+        const app = window.InteriorDesignApp;
+        const isValid = fields
+            .map(field => (app && app.validateField ? app.validateField(field) : !field.required || !ValidationUtils.isEmpty(field.value)))
+            .every(Boolean);
 
-    showImageGallery() {
-        if (this.galleryModal) {
-            this.galleryModal.style.display = 'flex';
-            document.body.style.overflow = 'hidden';
+        if (!isValid) {
+            this.notify('Please fill in your name, email and phone so we can reach you.', 'error');
+            return;
         }
-    }
 
-    closeImageGallery() {
-        if (this.galleryModal) {
-            this.galleryModal.style.display = 'none';
-            document.body.style.overflow = '';
+        const contact = Object.fromEntries(new FormData(form).entries());
+        // The honeypot is checked on the form, never sent
+        delete contact.fax_only;
+        const inquiry = window.FormHandler.buildShortlistInquiry(contact, projects);
+
+        if (channel === 'whatsapp') {
+            const message = window.FormHandler.formatWhatsAppMessage(inquiry);
+            if (window.openWhatsApp) {
+                window.openWhatsApp(message);
+            } else {
+                window.FormHandler.fallbackToWhatsApp(inquiry);
+            }
+            this.trackShortlistSend('whatsapp', projects.length);
+            return;
         }
-    }
 
-    updateGalleryImage() {
-        const galleryImage = document.getElementById('gallery-image');
-        if (galleryImage && this.currentGalleryImages[this.currentImageIndex]) {
-            galleryImage.src = this.currentGalleryImages[this.currentImageIndex];
-            galleryImage.alt = `Gallery image ${this.currentImageIndex + 1}`;
+        const submitBtn = this.shortlistDrawer.querySelector('.shortlist-submit');
+        const originalHTML = submitBtn ? submitBtn.innerHTML : '';
+        if (submitBtn) {
+            submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+            submitBtn.disabled = true;
         }
-    }
 
-    updateGalleryThumbnails() {
-        const thumbnailContainer = document.getElementById('gallery-thumbnails');
-        if (!thumbnailContainer) return;
+        try {
+            // Same spam checks and rate limit as the contact form
+            const verdict = app && app.checkForSpam
+                ? await app.checkForSpam(form, 'contact', inquiry, [contact.name, contact.message].filter(Boolean).join(' '))
+                : { ok: true };
+            if (!verdict.ok) {
+                if (verdict.silent) {
+                    this.notify('Thank you! We have your shortlist and will be in touch with a quote soon.', 'success');
+                    this.showShortlistView('list');
+                } else {
+                    this.notify(verdict.message, 'error');
+                }
+                return;
+            }
 
-        thumbnailContainer.innerHTML = this.currentGalleryImages.map((img, index) => `
-            <img src="${img}" 
-                 alt="Thumbnail ${index + 1}" 
-                 class="gallery-thumbnail ${index === this.currentImageIndex ? 'active' : ''}"
-                 onclick="setGalleryImage(${index})"
-                 loading="lazy">
-        `).join('');
-    }
+            const result = await window.FormHandler.submitContactForm(inquiry);
 
-    previousImage() {
-        this.currentImageIndex = this.currentImageIndex > 0 
-            ? this.currentImageIndex - 1 
-            : this.currentGalleryImages.length - 1;
-        
-        this.updateGalleryImage();
-        this.updateGalleryThumbnails();
+            if (result && result.queued) {
+                this.notify('You\'re offline. Your shortlist is queued and will send when you\'re back online.', 'info');
+            } else {
+                this.notify(result && result.provider === 'whatsApp'
+                    ? 'We\'ve opened WhatsApp with your shortlist. Just press send to reach us.'
+                    : 'Thank you! We have your shortlist and will be in touch with a quote soon.', 'success');
+            }
+            if (window.SpamGuard) {
+                SpamGuard.markSent(form, 'contact');
+            }
+            this.trackShortlistSend('form', projects.length);
+            this.showShortlistView('list');
+        } catch (error) {
+            console.error('Shortlist submission error:', error);
+            this.notify('Sorry, we could not send your shortlist. Please try again or send it on WhatsApp.', 'error');
+        } finally {
+            if (submitBtn && submitBtn.isConnected) {
+                submitBtn.innerHTML = originalHTML;
+                submitBtn.disabled = false;
+            }
+        }
     }
 
-    nextImage() {
-        this.currentImageIndex = this.currentImageIndex < this.currentGalleryImages.length - 1 
-            ? this.currentImageIndex + 1 
-            : 0;
-        
-        this.updateGalleryImage();
-        this.updateGalleryThumbnails();
+    notify(message, type = 'info') {
+        // Prefer the site-wide notification so errors are styled as errors
+        if (typeof window.showNotification === 'function') {
+            window.showNotification(message, type);
+        } else {
+            this.showNotification(message);
+        }
     }
 
-    setGalleryImage(index) {
-        this.currentImageIndex = index;
-        this.updateGalleryImage();
-        this.updateGalleryThumbnails();
+    generateComparisonTable(projects) {
+        const esc = ValidationUtils.sanitizeHTML;
+        const rows = [
+            { label: 'Location', value: project => esc(project.location) },
+            { label: 'Type', value: project => project.category.charAt(0).toUpperCase() + project.category.slice(1) },
+            { label: 'Budget', value: project => esc(project.budget), metric: 'budget', best: 'min', bestLabel: 'Lowest' },
+            { label: 'Area', value: project => esc(project.area || '—'), metric: 'area', best: 'max', bestLabel: 'Largest' },
+            { label: 'Duration', value: project => esc(project.duration), metric: 'duration', best: 'min', bestLabel: 'Quickest' },
+            { label: 'Year', value: project => project.year },
+            {
+                label: 'Features',
+                value: project => `<ul>${(project.features || []).map(feature => `<li>${esc(feature)}</li>`).join('')}</ul>`
+            }
+        ];
+
+        // Mark the best value on numeric rows when the projects actually differ
+        const getBestValue = (row) => {
+            const values = projects
+                .map(project => project.metrics[row.metric])
+                .filter(value => value !== null && !Number.isNaN(value));
+            if (values.length < 2 || new Set(values).size === 1) return null;
+            return row.best === 'min' ? Math.min(...values) : Math.max(...values);
+        };
+
+        return `
+            <div class="shortlist-compare-wrapper">
+                <table class="shortlist-compare-table">
+                    <caption class="sr-only">Side-by-side comparison of your shortlisted projects</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col"><span class="sr-only">Detail</span></th>
+                            ${projects.map(project => `
+                                <th scope="col">
+                                    ${ResponsiveImages.picture(project.images[0], { sizes: '160px' })}
+                                    <span>${esc(project.title)}</span>
+                                    <button type="button" class="shortlist-remove" data-shortlist-remove="${project.id}" aria-label="Remove ${esc(project.title)} from shortlist">
+                                        <i class="fas fa-times"></i>
+                                    </button>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => {
+                            const bestValue = row.metric ? getBestValue(row) : null;
+                            return `
+                                <tr>
+                                    <th scope="row">${row.label}</th>
+                                    ${projects.map(project => {
+                                        const isBest = bestValue !== null && project.metrics[row.metric] === bestValue;
+                                        return `<td class="${isBest ? 'is-best' : ''}">${row.value(project)}${isBest ? ` <span class="compare-best">${row.bestLabel}</span>` : ''}</td>`;
+                                    }).join('')}
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
     }
 
-    handleKeyboardNavigation(e) {
-        if (this.galleryModal && this.galleryModal.style.display === 'flex') {
-            switch (e.key) {
-                case 'Escape':
-                    this.closeImageGallery();
-                    break;
-                case 'ArrowLeft':
-                    this.previousImage();
-                    break;
-                case 'ArrowRight':
-                    this.nextImage();
-                    break;
-            }
-        }
-        
-        if (this.modal && this.modal.style.display === 'flex') {
-            if (e.key === 'Escape') {
-                this.closeModal();
-            }
+    announce(message) {
+        if (typeof window.announceToScreenReader === 'function') {
+            window.announceToScreenReader(message);
         }
     }
 
@@ -492,73 +2377,144 @@ class PortfolioManager {
             threshold: 0.1
         };
 
-        const observer = new IntersectionObserver((entries) => {
+        this.itemObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     entry.target.classList.add('visible');
+                    this.itemObserver.unobserve(entry.target);
                 }
             });
         }, options);
 
         this.portfolioItems.forEach(item => {
-            observer.observe(item);
+            this.itemObserver.observe(item);
         });
-    }
 
-    loadMoreProjects() {
-        // Simulate loading more projects
-        this.loadMoreBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading...';
-        this.loadMoreBtn.disabled = true;
+        // Infinite scroll: a separate observer so the sentinel keeps firing while pages remain
+        if (this.config.infiniteScroll && this.loadMoreContainer) {
+            this.loadMoreObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting) && !this.loadMoreBtn.classList.contains('btn-retry')) {
+                    this.loadMoreProjects();
+                }
+            }, { root: null, rootMargin: '0px 0px 200px 0px', threshold: 0 });
 
-        setTimeout(() => {
-            // In a real application, this would fetch more data
-            this.addMoreProjects();
-            
-            this.loadMoreBtn.innerHTML = '<i class="fas fa-plus"></i> Load More Projects';
-            this.loadMoreBtn.disabled = false;
-        }, 1500);
+            this.loadMoreObserver.observe(this.loadMoreContainer);
+        }
     }
 
-    addMoreProjects() {
-        // This would typically load from an API
-        const additionalProjects = [
-            {
-                id: 'residential-3',
-                title: 'Luxury Penthouse',
-                category: 'residential',
-                location: 'New Town, Kolkata',
-                budget: '₹18L',
-                duration: '90 Days',
-                image: 'assets/images/portfolio/residential-3.jpg'
-            },
-            {
-                id: 'commercial-3',
-                title: 'Modern Clinic',
-                category: 'commercial',
-                location: 'Sector V, Kolkata',
-                budget: '₹12L',
-                duration: '50 Days',
-                image: 'assets/images/portfolio/commercial-3.jpg'
+    async loadMoreProjects() {
+        if (this.pagination.isLoading || !this.pagination.hasMore || !this.projectSource) return;
+
+        this.pagination.isLoading = true;
+        this.setLoadMoreState('loading');
+
+        try {
+            // Cards need the image manifest to emit their <picture> sources
+            const [page] = await Promise.all([
+                this.projectSource.fetchPage(this.pagination.cursor),
+                ResponsiveImages.load()
+            ]);
+
+            // Skip anything already on the grid, e.g. when the endpoint's ordering shifts between pages
+            const newProjects = page.projects.filter(project => !this.portfolioData[project.id]);
+            newProjects.forEach(project => {
+                project.metrics = PortfolioCatalog.deriveMetrics(project);
+                this.portfolioData[project.id] = project;
+                this.projectOrder.push(project.id);
+            });
+
+            this.pagination.cursor = page.nextCursor;
+            this.pagination.hasMore = Boolean(page.nextCursor);
+
+            this.clearCatalogError();
+            this.renderProjects(newProjects);
+            this.setLoadMoreState(this.pagination.hasMore ? 'idle' : 'end');
+        } catch (error) {
+            console.error('Failed to load portfolio projects:', error);
+
+            if (!this.projectOrder.length) {
+                this.showCatalogError();
             }
-        ];
+            this.setLoadMoreState('error');
+        } finally {
+            this.pagination.isLoading = false;
+        }
 
-        additionalProjects.forEach(project => {
-            this.addProjectToGrid(project);
-        });
+        // Re-observe so a sentinel that is still on screen triggers the next page
+        if (this.loadMoreObserver) {
+            this.loadMoreObserver.unobserve(this.loadMoreContainer);
+            if (this.pagination.hasMore) {
+                this.loadMoreObserver.observe(this.loadMoreContainer);
+            }
+        }
     }
 
-    addProjectToGrid(project) {
-        const projectHTML = `
-            <div class="portfolio-item" data-category="${project.category}">
-                <div class="portfolio-image">
-                    <img src="${project.image}" alt="${project.title}" loading="lazy">
+    renderProjects(projects) {
+        // Index the batch and re-run any active search before sorting and filtering
+        projects.forEach(project => this.searchIndex.add(project));
+        this.searchResults = this.runSearch();
+        this.updateSearchHighlights();
+
+        // Cards are built as the grid renders them
+        this.applyFilters();
+    }
+
+    setLoadMoreState(state) {
+        if (!this.loadMoreBtn) return;
+
+        const states = {
+            idle: '<i class="fas fa-plus"></i> Load More Projects',
+            loading: '<i class="fas fa-spinner fa-spin"></i> Loading...',
+            error: '<i class="fas fa-redo"></i> Couldn\'t load projects. Retry'
+        };
+
+        this.loadMoreBtn.classList.toggle('btn-retry', state === 'error');
+        this.loadMoreBtn.disabled = state === 'loading';
+        this.loadMoreBtn.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+        this.loadMoreBtn.style.display = state === 'end' ? 'none' : '';
+
+        if (states[state]) {
+            this.loadMoreBtn.innerHTML = states[state];
+        }
+
+        if (this.endOfListMessage) {
+            this.endOfListMessage.style.display = state === 'end' ? '' : 'none';
+        }
+
+        if (state === 'error' && window.announceToScreenReader) {
+            window.announceToScreenReader('Could not load more projects. Use the retry button to try again.');
+        }
+    }
+
+    getProjectCardHTML(project) {
+        // Catalog text may come from the projects endpoint, so it's escaped before going into HTML
+        const esc = ValidationUtils.sanitizeHTML;
+        // Known dimensions let masonry reserve each photo's space before it loads
+        const aspectRatio = ResponsiveImages.getAspectRatio(project.images[0]);
+        const stats = [
+            project.area && { icon: 'fa-ruler-combined', label: 'Area', value: project.area },
+            { icon: 'fa-wallet', label: 'Budget', value: project.budget },
+            { icon: 'fa-clock', label: 'Duration', value: project.duration },
+            { icon: 'fa-calendar', label: 'Year', value: project.year }
+        ].filter(Boolean);
+
+        return `
+            <div class="portfolio-item" data-category="${project.category}" data-project-id="${project.id}" tabindex="0">
+                <div class="portfolio-image"${aspectRatio ? ` style="--image-aspect: ${aspectRatio}"` : ''}>
+                    ${ResponsiveImages.picture(project.images[0], {
+                        alt: `${project.title} - ${project.location}`,
+                        sizes: '(max-width: 768px) 100vw, (max-width: 1024px) 50vw, 400px'
+                    })}
+                    <button type="button" class="portfolio-favorite" data-shortlist-toggle="${project.id}" aria-pressed="false" aria-label="Save ${esc(project.title)} to shortlist" onclick="toggleShortlist('${project.id}')">
+                        <i class="far fa-heart"></i>
+                    </button>
                     <div class="portfolio-overlay">
                         <div class="portfolio-content">
-                            <h4>${project.title}</h4>
-                            <p>Premium interior design with modern aesthetics</p>
+                            <h4>${esc(project.title)}</h4>
+                            <p>${esc(project.summary || 'Premium interior design with modern aesthetics')}</p>
                             <div class="portfolio-meta">
-                                <span><i class="fas fa-map-marker-alt"></i> ${project.location}</span>
-                                <span><i class="fas fa-calendar"></i> 2024</span>
+                                <span><i class="fas fa-map-marker-alt"></i> ${esc(project.location)}</span>
+                                <span><i class="fas fa-calendar"></i> ${project.year}</span>
                             </div>
                             <div class="portfolio-actions">
                                 <button class="btn btn-sm btn-outline" onclick="openPortfolioModal('${project.id}')">
@@ -572,23 +2528,17 @@ class PortfolioManager {
                     </div>
                 </div>
                 <div class="portfolio-info">
-                    <h4>${project.title}</h4>
-                    <p>${project.budget} • ${project.duration} • ${project.location.split(',')[0]}</p>
+                    <h4>${esc(project.title)}</h4>
+                    <p class="portfolio-info-summary">${esc(project.budget)} • ${esc(project.duration)} • ${esc(project.location.split(',')[0])}</p>
+                    <ul class="portfolio-item-stats">
+                        <li><i class="fas fa-map-marker-alt" aria-hidden="true"></i> ${esc(project.location)}</li>
+                        ${stats.map(stat => `
+                            <li><i class="fas ${stat.icon}" aria-hidden="true"></i> <span class="sr-only">${stat.label}:</span> ${esc(stat.value)}</li>
+                        `).join('')}
+                    </ul>
                 </div>
             </div>
         `;
-
-        if (this.portfolioGrid) {
-            this.portfolioGrid.insertAdjacentHTML('beforeend', projectHTML);
-            
-            // Re-cache elements
-            this.portfolioItems = document.querySelectorAll('.portfolio-item');
-            
-            // Apply current filter
-            if (this.currentFilter !== 'all') {
-                this.filterPortfolio(this.currentFilter);
-            }
-        }
     }
 
     // Analytics and tracking methods
@@ -601,6 +2551,63 @@ class PortfolioManager {
         }
     }
 
+    trackLayoutChange(layout) {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'portfolio_layout', {
+                'layout': layout,
+                'event_category': 'portfolio'
+            });
+        }
+    }
+
+    trackSortUsage(mode) {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'portfolio_sort', {
+                'sort_mode': mode,
+                'event_category': 'portfolio'
+            });
+        }
+    }
+
+    trackSearch(query, resultCount) {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'search', {
+                'search_term': query,
+                'result_count': resultCount,
+                'event_category': 'portfolio'
+            });
+        }
+    }
+
+    trackShortlist(projectId, isSaved) {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', isSaved ? 'shortlist_add' : 'shortlist_remove', {
+                'project_id': projectId,
+                'event_category': 'portfolio'
+            });
+        }
+    }
+
+    trackSpecSheet(projectId, format) {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'spec_sheet_export', {
+                'project_id': projectId,
+                'format': format,
+                'event_category': 'portfolio'
+            });
+        }
+    }
+
+    trackShortlistSend(channel, projectCount) {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'shortlist_send', {
+                'channel': channel,
+                'project_count': projectCount,
+                'event_category': 'portfolio'
+            });
+        }
+    }
+
     trackModalOpen(projectId) {
         if (typeof gtag !== 'undefined') {
             gtag('event', 'portfolio_view', {
@@ -612,45 +2619,127 @@ class PortfolioManager {
 
     // Search functionality
     setupPortfolioSearch() {
-        const searchInput = document.getElementById('portfolio-search');
-        if (!searchInput) return;
+        if (!this.searchInput) return;
 
         let searchTimeout;
-        searchInput.addEventListener('input', (e) => {
+        this.searchInput.addEventListener('input', (e) => {
             clearTimeout(searchTimeout);
             searchTimeout = setTimeout(() => {
                 this.searchPortfolio(e.target.value);
             }, 300);
         });
+
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.searchInput.value) {
+                e.preventDefault();
+                clearTimeout(searchTimeout);
+                this.searchPortfolio('');
+            }
+        });
+    }
+
+    initializeSearch() {
+        this.searchQuery = (new URLSearchParams(window.location.search).get('q') || '').trim();
+
+        if (this.searchInput) {
+            this.searchInput.value = this.searchQuery;
+        }
     }
 
     searchPortfolio(query) {
-        const normalizedQuery = query.toLowerCase().trim();
-        
-        this.portfolioItems.forEach(item => {
-            const title = item.querySelector('h4')?.textContent.toLowerCase() || '';
-            const description = item.querySelector('p')?.textContent.toLowerCase() || '';
-            const location = item.querySelector('.portfolio-meta span')?.textContent.toLowerCase() || '';
-            
-            const matches = title.includes(normalizedQuery) || 
-                          description.includes(normalizedQuery) || 
-                          location.includes(normalizedQuery);
-            
-            item.style.display = matches ? 'block' : 'none';
+        const previousDefault = this.getDefaultSort();
+        this.searchQuery = String(query).trim();
+
+        if (this.searchInput && this.searchInput.value.trim() !== this.searchQuery) {
+            this.searchInput.value = this.searchQuery;
+        }
+
+        // Follow the default order (best match while searching) unless the user picked one
+        if (this.currentSort === previousDefault || !this.isValidSort(this.currentSort)) {
+            this.currentSort = this.getDefaultSort();
+        }
+        this.updateSortControl();
+
+        this.searchResults = this.runSearch();
+        this.updateSearchHighlights();
+        // One render, in ranked order
+        this.applyFilters({ animate: true });
+
+        if (this.searchResults) {
+            this.trackSearch(this.searchQuery, this.searchResults.size);
+        }
+    }
+
+    /**
+     * Results for the current query keyed by project id, or null when not searching
+     */
+    runSearch() {
+        const results = this.searchQuery ? this.searchIndex.search(this.searchQuery) : null;
+        return results ? new Map(results.map(result => [result.id, result])) : null;
+    }
+
+    matchesSearch(project) {
+        return !this.searchResults || this.searchResults.has(project.id);
+    }
+
+    getSearchScore(project) {
+        const result = this.searchResults && this.searchResults.get(project.id);
+        return result ? result.score : 0;
+    }
+
+    updateSearchHighlights() {
+        // Cards outside the window too, so they're current when scrolled back in
+        this.cardElements.forEach(item => this.updateCardHighlights(item));
+    }
+
+    updateCardHighlights(item) {
+        const project = this.portfolioData[this.getProjectId(item)];
+        if (!project) return;
+
+        const result = this.searchResults && this.searchResults.get(project.id);
+        const terms = result ? result.terms : null;
+
+        item.querySelectorAll('h4').forEach(heading => {
+            heading.innerHTML = PortfolioSearch.highlight(project.title, terms);
         });
+
+        const overlaySummary = item.querySelector('.portfolio-content > p');
+        if (overlaySummary && project.summary) {
+            overlaySummary.innerHTML = PortfolioSearch.highlight(project.summary, terms);
+        }
+
+        // Quote where the match came from when it isn't visible on the card
+        const info = item.querySelector('.portfolio-info');
+        let match = item.querySelector('.portfolio-search-match');
+        const snippet = PortfolioSearch.snippet(project, terms);
+
+        if (snippet && info) {
+            if (!match) {
+                match = document.createElement('p');
+                match.className = 'portfolio-search-match';
+                info.appendChild(match);
+            }
+            match.innerHTML = `<strong>${snippet.label}:</strong> ${snippet.html}`;
+        } else if (match) {
+            match.remove();
+        }
     }
 
     // Share functionality
-    shareProject(projectTitle) {
+    shareProject(projectId) {
+        const project = this.portfolioData[projectId];
+        const projectTitle = project ? project.title : projectId;
+        const url = project ? this.getProjectUrl(project.id) : window.location.href;
+
         if (navigator.share) {
             navigator.share({
                 title: `${projectTitle} - Interior Design Project`,
                 text: `Check out this amazing interior design project: ${projectTitle}`,
-                url: window.location.href
+                url
             }).catch(console.error);
         } else {
             // Fallback to copy link
-            navigator.clipboard.writeText(window.location.href).then(() => {
+            navigator.clipboard.writeText(url).then(() => {
                 this.showNotification('Link copied to clipboard!');
             }).catch(() => {
                 this.showNotification('Unable to share. Please copy the URL manually.');
@@ -658,6 +2747,42 @@ class PortfolioManager {
         }
     }
 
+    /**
+     * Download a one-page PDF spec sheet, or print it via print.css
+     */
+    async exportSpecSheet(projectId, format = 'pdf') {
+        const project = this.portfolioData[projectId];
+        if (!project || !window.SpecSheet) return;
+
+        const url = this.getProjectUrl(project.id);
+
+        if (format === 'print') {
+            await SpecSheet.print(project, url);
+            this.trackSpecSheet(projectId, 'print');
+            return;
+        }
+
+        const button = this.modal && this.modal.querySelector('.spec-sheet-export');
+        const originalHTML = button ? button.innerHTML : '';
+        if (button) {
+            button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Preparing PDF...';
+            button.disabled = true;
+        }
+
+        try {
+            await SpecSheet.download(project, url);
+            this.trackSpecSheet(projectId, 'pdf');
+        } catch (error) {
+            console.error('Spec sheet export failed:', error);
+            this.notify('Could not create the PDF. Try Print and save as PDF instead.', 'error');
+        } finally {
+            if (button) {
+                button.innerHTML = originalHTML;
+                button.disabled = false;
+            }
+        }
+    }
+
     showNotification(message) {
         const notification = document.createElement('div');
         notification.className = 'notification';
@@ -707,6 +2832,14 @@ class PortfolioManager {
         return this.currentFilter;
     }
 
+    getCurrentSort() {
+        return this.currentSort;
+    }
+
+    getSearchQuery() {
+        return this.searchQuery;
+    }
+
     filterByCategory(category) {
         const filterButton = document.querySelector(`[data-filter="${category}"]`);
         if (filterButton) {
@@ -720,12 +2853,16 @@ class PortfolioManager {
     }
 
     getPortfolioStats() {
+        // Counted from the data, since only part of the grid is rendered
+        const projects = this.getLoadedProjects();
+        const countCategory = category => projects.filter(project => project.category === category).length;
+
         const stats = {
-            total: this.portfolioItems.length,
-            residential: document.querySelectorAll('[data-category*="residential"]').length,
-            commercial: document.querySelectorAll('[data-category*="commercial"]').length,
-            retail: document.querySelectorAll('[data-category*="retail"]').length,
-            renovation: document.querySelectorAll('[data-category*="renovation"]').length
+            total: projects.length,
+            residential: countCategory('residential'),
+            commercial: countCategory('commercial'),
+            retail: countCategory('retail'),
+            renovation: countCategory('renovation')
         };
         return stats;
     }
@@ -760,8 +2897,24 @@ window.setGalleryImage = function(index) {
     portfolioManager.setGalleryImage(index);
 };
 
-window.shareProject = function(projectTitle) {
-    portfolioManager.shareProject(projectTitle);
+window.shareProject = function(projectId) {
+    portfolioManager.shareProject(projectId);
+};
+
+window.openSimilarProject = function(projectId) {
+    portfolioManager.openSimilarProject(projectId);
+};
+
+window.exportSpecSheet = function(projectId, format) {
+    portfolioManager.exportSpecSheet(projectId, format);
+};
+
+window.toggleShortlist = function(projectId) {
+    portfolioManager.toggleShortlist(projectId);
+};
+
+window.openShortlist = function() {
+    portfolioManager.openShortlist();
 };
 
 // CSS for notifications and additional effects
@@ -850,7 +3003,55 @@ const portfolioCSS = `
         background: var(--bg-secondary);
         color: var(--primary-color);
     }
-    
+
+    .modal-body {
+        padding: var(--spacing-lg);
+    }
+
+    .project-image img {
+        width: 100%;
+        max-height: 360px;
+        object-fit: cover;
+        border-radius: var(--radius-md);
+    }
+
+    .gallery-modal {
+        display: none;
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.92);
+        z-index: 1001;
+    }
+
+    .gallery-close {
+        position: absolute;
+        top: var(--spacing-lg);
+        right: var(--spacing-lg);
+        background: none;
+        border: none;
+        color: white;
+        font-size: 2rem;
+        cursor: pointer;
+        z-index: 1;
+    }
+
+    .portfolio-load-more {
+        margin-top: var(--spacing-lg);
+    }
+
+    .portfolio-load-more .btn-retry {
+        border-color: #e74c3c;
+        color: #e74c3c;
+    }
+
+    .portfolio-end-message {
+        color: var(--text-secondary);
+        font-size: 0.9rem;
+    }
+
     .gallery-modal-content {
         position: relative;
         width: 100%;
@@ -994,9 +3195,9 @@ const portfolioCSS = `
 `;
 
 // Inject portfolio CSS
-const style = document.createElement('style');
-style.textContent = portfolioCSS;
-document.head.appendChild(style);
+const portfolioStyle = document.createElement('style');
+portfolioStyle.textContent = portfolioCSS;
+document.head.appendChild(portfolioStyle);
 
 // Initialize portfolio manager
 const portfolioManager = new PortfolioManager();
@@ -0,0 +1,346 @@
+/**
+ * Quote Wizard
+ * Walks the contact form through property, budget, style, site and contact steps, checking each
+ * step before moving on and keeping a draft on this device until the request is sent
+ */
+
+class QuoteWizard {
+    /**
+     * validateField(field) checks and marks a single input, returning whether it is valid
+     * onSubmit() runs when the last step is submitted
+     */
+    constructor(form, { validateField, onSubmit, draftKey = 'quote-draft' } = {}) {
+        this.form = form;
+        this.validateField = validateField || (field => field.checkValidity());
+        this.onSubmit = onSubmit || (() => {});
+        this.draftKey = draftKey;
+
+        this.steps = Array.from(form.querySelectorAll('.quote-step'));
+        this.progressSteps = Array.from(form.querySelectorAll('.quote-progress-step'));
+        this.status = form.querySelector('.quote-step-status');
+        this.backButton = form.querySelector('[data-quote-back]');
+        this.nextButton = form.querySelector('[data-quote-next]');
+        this.submitButton = form.querySelector('[data-quote-submit]');
+
+        // Files can't go in the saved draft, only the rest of the answers
+        const attachmentField = form.querySelector('.attachment-field');
+        this.attachments = attachmentField && window.FileAttachments ? new FileAttachments(attachmentField) : null;
+
+        this.currentStep = 0;
+
+        this.bindEvents();
+        this.restoreDraft();
+    }
+
+    bindEvents() {
+        this.backButton.addEventListener('click', () => this.back());
+        this.nextButton.addEventListener('click', () => this.next());
+
+        // Enter in a field moves on a step until the last one, which sends the request
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            if (this.isLastStep()) {
+                this.onSubmit();
+            } else {
+                this.next();
+            }
+        });
+
+        this.form.addEventListener('change', (e) => {
+            if (e.target.name === 'property_type') {
+                this.updateRoomOptions();
+            }
+
+            const group = e.target.closest('.quote-options');
+            if (group && group.classList.contains('invalid')) {
+                this.validateGroup(group);
+            }
+
+            this.saveDraft();
+        });
+
+        this.form.addEventListener('input', () => this.saveDraft());
+    }
+
+    isLastStep() {
+        return this.currentStep === this.steps.length - 1;
+    }
+
+    next() {
+        if (!this.validateStep(this.currentStep)) return;
+
+        this.trackStep(this.currentStep + 1);
+        this.goToStep(this.currentStep + 1);
+        this.saveDraft();
+    }
+
+    back() {
+        this.goToStep(this.currentStep - 1);
+        this.saveDraft();
+    }
+
+    goToStep(index, { focus = true } = {}) {
+        const step = Math.max(0, Math.min(this.steps.length - 1, index));
+        this.currentStep = step;
+
+        this.steps.forEach((fieldset, i) => {
+            fieldset.hidden = i !== step;
+        });
+
+        this.progressSteps.forEach((item, i) => {
+            item.classList.toggle('is-current', i === step);
+            item.classList.toggle('is-complete', i < step);
+            if (i === step) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        if (this.status) {
+            this.status.textContent = `Step ${step + 1} of ${this.steps.length}`;
+        }
+
+        this.backButton.hidden = step === 0;
+        this.nextButton.hidden = this.isLastStep();
+        this.submitButton.hidden = !this.isLastStep();
+
+        if (focus) {
+            this.steps[step].querySelector('.quote-step-title').focus();
+        }
+    }
+
+    /**
+     * Open the step holding a field, e.g. before focusing a prefilled message
+     */
+    showField(field) {
+        const index = this.steps.findIndex(step => step.contains(field));
+        if (index !== -1 && index !== this.currentStep) {
+            this.goToStep(index, { focus: false });
+        }
+        this.saveDraft();
+    }
+
+    /**
+     * Check every field on a step; focuses the first problem
+     */
+    validateStep(index) {
+        const invalid = Array.from(this.steps[index].querySelectorAll('.quote-options[data-required], input, textarea, select'))
+            .filter(item => item.type !== 'radio' && item.type !== 'checkbox')
+            .filter(item => !(item.tagName === 'FIELDSET' ? this.validateGroup(item) : this.validateField(item)));
+
+        if (invalid.length) {
+            const first = invalid[0];
+            (first.tagName === 'FIELDSET' ? first.querySelector('input') : first).focus();
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Every step, moving to the first one with a problem
+     */
+    validateAll() {
+        const index = this.steps.findIndex((step, i) => !this.validateStep(i));
+        if (index === -1) return true;
+
+        this.goToStep(index, { focus: false });
+        this.validateStep(index);
+        return false;
+    }
+
+    /**
+     * Radio and checkbox groups need one visible option chosen
+     */
+    validateGroup(group) {
+        const isValid = Array.from(group.querySelectorAll('input:checked'))
+            .some(input => !input.closest('.quote-option').hidden);
+
+        group.classList.toggle('invalid', !isValid);
+
+        let error = group.querySelector('.field-error');
+        if (!error) {
+            error = document.createElement('span');
+            error.className = 'field-error';
+            group.appendChild(error);
+        }
+
+        error.textContent = isValid ? '' : 'Please choose at least one option';
+        error.style.display = isValid ? 'none' : 'block';
+
+        return isValid;
+    }
+
+    /**
+     * Offer home rooms for homes and work spaces for commercial properties
+     */
+    updateRoomOptions() {
+        const selected = this.form.querySelector('[name="property_type"]:checked');
+        const kind = selected ? selected.closest('.quote-option').dataset.kind : null;
+
+        this.form.querySelectorAll('[name="rooms"]').forEach(input => {
+            const option = input.closest('.quote-option');
+            const hide = Boolean(kind && option.dataset.kind && option.dataset.kind !== kind);
+
+            option.hidden = hide;
+            if (hide) {
+                input.checked = false;
+            }
+        });
+    }
+
+    /**
+     * Choose a property type unless the visitor already has one, e.g. from a project they asked about
+     */
+    suggestPropertyType(value) {
+        const input = this.form.querySelector(`[name="property_type"][value="${value}"]`);
+        if (!input || this.getChecked('property_type').length) return;
+
+        input.checked = true;
+        this.updateRoomOptions();
+        this.saveDraft();
+    }
+
+    getChecked(name) {
+        return Array.from(this.form.querySelectorAll(`[name="${name}"]:checked`));
+    }
+
+    getOptionLabel(input) {
+        return input.closest('.quote-option').querySelector('.quote-option-text').textContent.trim();
+    }
+
+    getValue(name) {
+        const field = this.form.elements[name];
+        return field ? field.value.trim() : '';
+    }
+
+    /**
+     * The request as sent to FormHandler: contact fields at the top level, the project in quote
+     * quote holds option values for backends and labels for people reading the email or WhatsApp message
+     */
+    getPayload() {
+        const [property] = this.getChecked('property_type');
+        const [budget] = this.getChecked('budget');
+        const [timeline] = this.getChecked('timeline');
+        const rooms = this.getChecked('rooms');
+        const styles = this.getChecked('styles');
+
+        const quote = {
+            propertyType: property ? property.value : '',
+            rooms: rooms.map(input => input.value),
+            carpetArea: Number(this.getValue('carpet_area')) || null,
+            budget: budget ? budget.value : '',
+            styles: styles.map(input => input.value),
+            timeline: timeline ? timeline.value : '',
+            siteAddress: this.getValue('site_address'),
+            pincode: this.getValue('pincode'),
+            labels: {
+                propertyType: property ? this.getOptionLabel(property) : '',
+                rooms: rooms.map(input => this.getOptionLabel(input)).join(', '),
+                budget: budget ? this.getOptionLabel(budget) : '',
+                styles: styles.map(input => this.getOptionLabel(input)).join(', '),
+                timeline: timeline ? this.getOptionLabel(timeline) : ''
+            }
+        };
+
+        const attachments = this.attachments ? this.attachments.getFiles() : [];
+
+        const summary = [quote.labels.propertyType, quote.carpetArea && `${quote.carpetArea} sq ft`, quote.labels.budget]
+            .filter(Boolean)
+            .join(', ');
+
+        return {
+            name: this.getValue('name'),
+            email: this.getValue('email'),
+            phone: this.getValue('phone'),
+            message: this.getValue('message'),
+            service: property ? property.closest('.quote-option').dataset.kind : '',
+            inquiry_type: 'quote',
+            _subject: `New quote request: ${summary}`,
+            quote,
+            ...(attachments.length ? { attachments } : {})
+        };
+    }
+
+    /**
+     * Field values by name, with checkbox groups as lists (leaving out the spam honeypot)
+     */
+    getValues() {
+        const values = {};
+
+        Array.from(this.form.elements).forEach(field => {
+            if (!field.name || 'honeypot' in field.dataset) return;
+
+            if (field.type === 'checkbox') {
+                values[field.name] = values[field.name] || [];
+                if (field.checked) values[field.name].push(field.value);
+            } else if (field.type === 'radio') {
+                if (field.checked) values[field.name] = field.value;
+            } else {
+                values[field.name] = field.value;
+            }
+        });
+
+        return values;
+    }
+
+    saveDraft() {
+        StorageUtils.localStorage.set(this.draftKey, {
+            step: this.currentStep,
+            values: this.getValues()
+        });
+    }
+
+    restoreDraft() {
+        const draft = StorageUtils.localStorage.get(this.draftKey);
+
+        if (draft && draft.values) {
+            Array.from(this.form.elements).forEach(field => {
+                if (!field.name || !(field.name in draft.values)) return;
+
+                const value = draft.values[field.name];
+                if (field.type === 'checkbox') {
+                    field.checked = Array.isArray(value) && value.includes(field.value);
+                } else if (field.type === 'radio') {
+                    field.checked = value === field.value;
+                } else {
+                    field.value = value;
+                }
+            });
+        }
+
+        this.updateRoomOptions();
+        this.goToStep(draft ? draft.step || 0 : 0, { focus: false });
+    }
+
+    /**
+     * Start over once the request has been sent
+     */
+    reset() {
+        this.form.reset();
+        this.form.querySelectorAll('.valid, .invalid').forEach(element => {
+            element.classList.remove('valid', 'invalid');
+        });
+
+        StorageUtils.localStorage.remove(this.draftKey);
+        if (this.attachments) {
+            this.attachments.clear();
+        }
+        this.updateRoomOptions();
+        this.goToStep(0, { focus: false });
+    }
+
+    trackStep(step) {
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'quote_step_complete', {
+                'step_number': step,
+                'event_category': 'contact'
+            });
+        }
+    }
+}
+
+// Export for global access
+window.QuoteWizard = QuoteWizard;
@@ -0,0 +1,118 @@
+/**
+ * Responsive Images
+ * Serves the AVIF/WebP/JPEG variants built by scripts/build-images.js as <picture> markup,
+ * with width/height to reserve space and a blurred placeholder until the photo arrives
+ */
+
+const ResponsiveImages = {
+    // Written by the build script, keyed by the original image path
+    manifestUrl: 'assets/data/images.json',
+
+    // Best first; the <img> itself carries the JPEG srcset
+    formats: [
+        { ext: 'avif', type: 'image/avif' },
+        { ext: 'webp', type: 'image/webp' }
+    ],
+
+    images: {},
+    loadPromise: null,
+
+    /**
+     * Load the manifest once; without it every image falls back to a plain <img>
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(this.manifestUrl)
+                .then(response => (response.ok ? response.json() : null))
+                .then(manifest => {
+                    if (manifest && manifest.version === 1) {
+                        this.images = manifest.images || {};
+                    }
+                    return this.images;
+                })
+                .catch(error => {
+                    console.warn('Responsive images unavailable:', error);
+                    return this.images;
+                });
+        }
+
+        return this.loadPromise;
+    },
+
+    get(src) {
+        return this.images[src] || null;
+    },
+
+    /**
+     * "width / height" for CSS aspect-ratio, or null when the dimensions aren't known
+     */
+    getAspectRatio(src) {
+        const entry = this.get(src);
+        return entry ? `${entry.width} / ${entry.height}` : null;
+    },
+
+    srcset(entry, ext) {
+        return entry.widths.map(width => `${entry.base}-${width}.${ext} ${width}w`).join(', ');
+    },
+
+    /**
+     * <picture> markup for an image, or a plain <img> when it has no variants
+     * sizes describes the rendered width, e.g. "(max-width: 768px) 100vw, 33vw"
+     * src and alt are plain text (they may come from the projects endpoint) and are escaped here
+     */
+    picture(src, { alt = '', sizes = '100vw', loading = 'lazy', className = '' } = {}) {
+        const entry = this.get(src);
+        const classAttr = className ? ` class="${className}"` : '';
+        const altText = ValidationUtils.sanitizeHTML(alt);
+
+        if (!entry) {
+            return `<img src="${ValidationUtils.sanitizeHTML(src)}" alt="${altText}" loading="${loading}"${classAttr}>`;
+        }
+
+        const largest = entry.widths[entry.widths.length - 1];
+
+        return `<picture>${this.formats.map(format => `<source type="${format.type}" srcset="${this.srcset(entry, format.ext)}" sizes="${sizes}">`).join('')}<img src="${entry.base}-${largest}.jpg" srcset="${this.srcset(entry, 'jpg')}" sizes="${sizes}" width="${entry.width}" height="${entry.height}" alt="${altText}" loading="${loading}" decoding="async" class="lqip${className ? ` ${className}` : ''}" style="background-image: url('${entry.lqip}')"></picture>`;
+    },
+
+    /**
+     * Swap <img data-responsive="sizes"> in a component's HTML for <picture> before it reaches the page,
+     * so the browser never starts downloading the full-size original
+     */
+    upgradeHTML(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const images = template.content.querySelectorAll('img[data-responsive]');
+        if (!images.length) return html;
+
+        images.forEach(img => {
+            img.outerHTML = this.picture(img.getAttribute('src'), {
+                alt: img.getAttribute('alt') || '',
+                sizes: img.dataset.responsive || '100vw',
+                loading: img.getAttribute('loading') || 'lazy',
+                className: img.getAttribute('class') || ''
+            });
+        });
+
+        return template.innerHTML;
+    },
+
+    /**
+     * Drop the placeholder once the real image has loaded
+     */
+    setupPlaceholders() {
+        // Load events don't bubble, so listen in the capture phase
+        document.addEventListener('load', (e) => {
+            const img = e.target;
+            if (img.tagName === 'IMG' && img.classList.contains('lqip')) {
+                img.classList.remove('lqip');
+                img.style.backgroundImage = '';
+            }
+        }, true);
+    }
+};
+
+ResponsiveImages.setupPlaceholders();
+
+// Export for global access
+window.ResponsiveImages = ResponsiveImages;
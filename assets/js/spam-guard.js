@@ -0,0 +1,147 @@
+/**
+ * Spam Guard
+ * Layered checks run before a form is sent, without any third-party service: a hidden honeypot
+ * field, a minimum time to fill the form, a per-browser rate limit, link and keyword heuristics,
+ * and an optional proof-of-work challenge from our own backend
+ */
+
+const SpamGuard = {
+    config: {
+        // Fewer milliseconds than this between showing a form and sending it looks automated
+        minFillTime: {
+            contact: 5000,
+            newsletter: 2000
+        },
+
+        // Successful sends allowed from one browser per window
+        rateLimits: {
+            contact: { max: 3, windowMs: 10 * 60 * 1000 },
+            newsletter: { max: 3, windowMs: 60 * 60 * 1000 }
+        },
+
+        // Links allowed in a message before it counts as spam
+        maxLinks: 2,
+
+        keywords: [
+            'casino', 'viagra', 'cialis', 'crypto', 'bitcoin', 'forex', 'backlinks', 'seo services',
+            'rank your website', 'guest post', 'loan offer', 'escort', 'porn'
+        ],
+
+        storageKey: 'spam-guard-sends',
+
+        /**
+         * Proof-of-work hook, off by default:
+         * { fieldName, solve({ formType, data }) } - solve resolves with a token that is sent as
+         * data[fieldName] for the backend to verify, or rejects to block the submission
+         */
+        proofOfWork: null
+    },
+
+    startTimes: new WeakMap(),
+
+    /**
+     * Start the fill timer for a form
+     */
+    watch(form) {
+        this.startTimes.set(form, Date.now());
+    },
+
+    /**
+     * Run every check; resolves with { ok: true, fields } where fields are extra values to send
+     * (the proof-of-work token), or { ok: false, reason, message, silent }
+     * silent means a bot tripped the honeypot and should be shown a normal success message
+     */
+    async check(form, { formType, text = '', data = {} }) {
+        const honeypot = form.querySelector('[data-honeypot]');
+        if (honeypot && honeypot.value) {
+            return { ok: false, reason: 'honeypot', silent: true };
+        }
+
+        const started = this.startTimes.get(form);
+        const minFillTime = this.config.minFillTime[formType] || 0;
+        if (started && Date.now() - started < minFillTime) {
+            return {
+                ok: false,
+                reason: 'too-fast',
+                message: 'That was quick! Please check your details and send again.'
+            };
+        }
+
+        if (this.isRateLimited(formType)) {
+            return {
+                ok: false,
+                reason: 'rate-limited',
+                message: 'You\'ve sent several requests in a short time. Please wait a few minutes, or reach us on WhatsApp.'
+            };
+        }
+
+        if (this.looksLikeSpam(text)) {
+            return {
+                ok: false,
+                reason: 'content',
+                message: 'Our spam filter flagged your message. Please remove any links and try again, or reach us on WhatsApp.'
+            };
+        }
+
+        const fields = {};
+        const pow = this.config.proofOfWork;
+
+        if (pow && typeof pow.solve === 'function') {
+            try {
+                fields[pow.fieldName || 'pow_token'] = await pow.solve({ formType, data });
+            } catch (error) {
+                console.warn('Proof-of-work challenge failed:', error);
+                return {
+                    ok: false,
+                    reason: 'challenge-failed',
+                    message: 'We couldn\'t verify your request. Please try again in a moment.'
+                };
+            }
+        }
+
+        return { ok: true, fields };
+    },
+
+    /**
+     * Too many links, link markup, or spam keywords
+     */
+    looksLikeSpam(text) {
+        const value = String(text || '').toLowerCase();
+        if (!value) return false;
+
+        const links = (value.match(/https?:\/\/|www\./g) || []).length;
+        if (links > this.config.maxLinks || /\[url[=\]]|<a\s+href/.test(value)) {
+            return true;
+        }
+
+        const keywordHits = this.config.keywords.filter(keyword => value.includes(keyword)).length;
+        return keywordHits >= 2 || (keywordHits === 1 && links > 0);
+    },
+
+    getRecentSends(formType) {
+        const limit = this.config.rateLimits[formType];
+        const sends = StorageUtils.localStorage.get(this.config.storageKey, {});
+        const since = Date.now() - (limit ? limit.windowMs : 0);
+
+        return (sends[formType] || []).filter(time => time > since);
+    },
+
+    isRateLimited(formType) {
+        const limit = this.config.rateLimits[formType];
+        return Boolean(limit) && this.getRecentSends(formType).length >= limit.max;
+    },
+
+    /**
+     * Count a successful send towards the rate limit and restart the fill timer
+     */
+    markSent(form, formType) {
+        const sends = StorageUtils.localStorage.get(this.config.storageKey, {});
+        sends[formType] = [...this.getRecentSends(formType), Date.now()];
+        StorageUtils.localStorage.set(this.config.storageKey, sends);
+
+        this.watch(form);
+    }
+};
+
+// Export for global access
+window.SpamGuard = SpamGuard;
@@ -0,0 +1,490 @@
+/**
+ * Project Spec Sheet
+ * Branded one-page project summary, printed through print.css or generated as a PDF entirely in the browser
+ */
+
+/**
+ * Minimal one-page PDF writer
+ * Supports text in the built-in Helvetica faces, filled rectangles and JPEG images, so no font or library downloads are needed
+ */
+class PDFWriter {
+    constructor({ width = 595.28, height = 841.89 } = {}) {
+        // A4 in points
+        this.width = width;
+        this.height = height;
+        this.commands = [];
+        this.images = [];
+        this.fonts = { regular: 'F1', bold: 'F2' };
+    }
+
+    // Helvetica advance widths for ASCII 32-126, per 1000 units of font size
+    static widths = {
+        regular: [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ],
+        bold: [
+            278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+            975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+            333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+            611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+        ]
+    };
+
+    /**
+     * Map text onto the characters the built-in fonts can draw
+     */
+    static toWinAnsi(text) {
+        return String(text)
+            .replace(/₹\s?/g, 'Rs. ')
+            .replace(/[–—]/g, '-')
+            .replace(/[‘’]/g, "'")
+            .replace(/[“”]/g, '"')
+            .replace(/…/g, '...')
+            .replace(/[·•]/g, '-')
+            .replace(/[^\x20-\xFF]/g, '?');
+    }
+
+    measure(text, size, weight = 'regular') {
+        const widths = PDFWriter.widths[weight];
+        let total = 0;
+        for (const char of PDFWriter.toWinAnsi(text)) {
+            const code = char.charCodeAt(0);
+            total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return total * size / 1000;
+    }
+
+    /**
+     * Break text into lines no wider than maxWidth
+     */
+    wrap(text, size, maxWidth, weight = 'regular') {
+        const lines = [];
+        let line = '';
+
+        String(text).split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && this.measure(candidate, size, weight) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Draw text with its top-left corner at (x, y), measured from the top of the page
+     */
+    text(x, y, text, { size = 10, weight = 'regular', color = '#2C2C2C' } = {}) {
+        const baseline = this.height - y - size * 0.8;
+        this.commands.push(
+            `BT ${this.toColor(color)} rg /${this.fonts[weight]} ${size} Tf ${this.num(x)} ${this.num(baseline)} Td (${this.escape(text)}) Tj ET`
+        );
+    }
+
+    rect(x, y, width, height, color) {
+        this.commands.push(
+            `${this.toColor(color)} rg ${this.num(x)} ${this.num(this.height - y - height)} ${this.num(width)} ${this.num(height)} re f`
+        );
+    }
+
+    /**
+     * Place JPEG bytes with known pixel dimensions into a box
+     */
+    image(jpeg, pixelWidth, pixelHeight, x, y, width, height) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, data: jpeg, pixelWidth, pixelHeight });
+        this.commands.push(
+            `q ${this.num(width)} 0 0 ${this.num(height)} ${this.num(x)} ${this.num(this.height - y - height)} cm /${name} Do Q`
+        );
+    }
+
+    escape(text) {
+        return Array.from(PDFWriter.toWinAnsi(text), char => {
+            const code = char.charCodeAt(0);
+            if (char === '\\' || char === '(' || char === ')') return `\\${char}`;
+            return code > 126 ? `\\${code.toString(8).padStart(3, '0')}` : char;
+        }).join('');
+    }
+
+    toColor(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [value >> 16, (value >> 8) & 255, value & 255].map(channel => this.num(channel / 255)).join(' ');
+    }
+
+    num(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Assemble the document into a PDF Blob
+     */
+    output() {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (chunk) => {
+            const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        const writeObject = (id, dictionary, stream = null) => {
+            offsets[id] = length;
+            if (stream === null) {
+                write(`${id} 0 obj\n${dictionary}\nendobj\n`);
+                return;
+            }
+            const bytes = typeof stream === 'string' ? encoder.encode(stream) : stream;
+            write(`${id} 0 obj\n${dictionary.replace(/>>$/, ` /Length ${bytes.length} >>`)}\nstream\n`);
+            write(bytes);
+            write('\nendstream\nendobj\n');
+        };
+
+        // Objects: 1 catalog, 2 pages, 3 page, 4 content, 5-6 fonts, then images
+        const firstImageId = 7;
+        const xObjects = this.images.map((image, index) => `/${image.name} ${firstImageId + index} 0 R`).join(' ');
+
+        write('%PDF-1.4\n');
+        write(new Uint8Array([37, 226, 227, 207, 211, 10]));
+
+        writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        writeObject(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+        writeObject(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(this.width)} ${this.num(this.height)}] ` +
+            `/Resources << /Font << /F1 5 0 R /F2 6 0 R >> /XObject << ${xObjects} >> >> /Contents 4 0 R >>`);
+        writeObject(4, '<< >>', this.commands.join('\n'));
+        writeObject(5, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        writeObject(6, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        this.images.forEach((image, index) => {
+            writeObject(firstImageId + index,
+                `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} ` +
+                '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode >>', image.data);
+        });
+
+        const objectCount = firstImageId + this.images.length;
+        const xrefOffset = length;
+        write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+        for (let id = 1; id < objectCount; id++) {
+            write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+}
+
+const SpecSheet = {
+    brand: {
+        name: 'AI Interior Design Studio',
+        tagline: 'Transforming Spaces, Redefining Comfort',
+        phone: '+91 9748007528',
+        email: 'info@aiinterior.in',
+        website: 'aiinterior.in'
+    },
+
+    colors: {
+        primary: '#8B4513',
+        secondary: '#D4AF37',
+        text: '#2C2C2C',
+        muted: '#666666',
+        panel: '#F8F4EC'
+    },
+
+    /**
+     * Facts shown in the spec grid, skipping ones the project doesn't have
+     */
+    getFacts(project) {
+        return [
+            { label: 'Budget', value: project.budget },
+            { label: 'Area', value: project.area },
+            { label: 'Duration', value: project.duration },
+            { label: 'Location', value: project.location },
+            { label: 'Year', value: project.year },
+            { label: 'Client', value: project.client }
+        ].filter(fact => fact.value);
+    },
+
+    /**
+     * Markup for the printable sheet, styled by print.css
+     */
+    template(project, url = window.location.href) {
+        // Catalog text may come from the projects endpoint
+        const esc = ValidationUtils.sanitizeHTML;
+        const [heroImage, ...otherImages] = project.images;
+        const captions = project.captions || [];
+
+        return `
+            <header class="spec-sheet-header">
+                <div>
+                    <strong class="spec-sheet-brand">${this.brand.name}</strong>
+                    <span class="spec-sheet-tagline">${this.brand.tagline}</span>
+                </div>
+                <div class="spec-sheet-contact">
+                    <span>${this.brand.phone}</span>
+                    <span>${this.brand.email}</span>
+                </div>
+            </header>
+
+            <h1 class="spec-sheet-title">${esc(project.title)}</h1>
+            <p class="spec-sheet-subtitle">${FormatUtils.toTitleCase(project.category)} project · ${esc(project.location)}</p>
+
+            <figure class="spec-sheet-hero">
+                <img src="${esc(heroImage)}" alt="${esc(captions[0] || project.title)}">
+            </figure>
+            ${otherImages.length ? `
+            <div class="spec-sheet-thumbs">
+                ${otherImages.slice(0, 2).map((image, index) => `
+                    <img src="${esc(image)}" alt="${esc(captions[index + 1] || `${project.title} - Image ${index + 2}`)}">
+                `).join('')}
+            </div>` : ''}
+
+            <dl class="spec-sheet-facts">
+                ${this.getFacts(project).map(fact => `
+                    <div>
+                        <dt>${fact.label}</dt>
+                        <dd>${esc(fact.value)}</dd>
+                    </div>
+                `).join('')}
+            </dl>
+
+            <section class="spec-sheet-section">
+                <h2>Project Overview</h2>
+                <p>${esc(project.description || project.summary || '')}</p>
+            </section>
+
+            ${(project.features || []).length ? `
+            <section class="spec-sheet-section">
+                <h2>Key Features</h2>
+                <ul class="spec-sheet-features">
+                    ${project.features.map(feature => `<li>${esc(feature)}</li>`).join('')}
+                </ul>
+            </section>` : ''}
+
+            <footer class="spec-sheet-footer">
+                <span>${esc(url)}</span>
+                <span>${this.brand.website}</span>
+            </footer>
+        `;
+    },
+
+    /**
+     * Print the sheet on its own, leaving the page behind it untouched
+     */
+    async print(project, url) {
+        const previous = document.getElementById('spec-sheet');
+        if (previous) {
+            previous.remove();
+        }
+
+        const sheet = document.createElement('article');
+        sheet.id = 'spec-sheet';
+        sheet.className = 'spec-sheet';
+        sheet.innerHTML = this.template(project, url);
+        document.body.appendChild(sheet);
+
+        // Print only once the photos are ready, or they come out blank
+        await Promise.all(Array.from(sheet.querySelectorAll('img'), img =>
+            img.decode ? img.decode().catch(() => {}) : Promise.resolve()
+        ));
+
+        const cleanup = () => {
+            document.body.classList.remove('printing-spec-sheet');
+            sheet.remove();
+            window.removeEventListener('afterprint', cleanup);
+        };
+
+        document.body.classList.add('printing-spec-sheet');
+        window.addEventListener('afterprint', cleanup);
+        window.print();
+    },
+
+    /**
+     * Load an image and re-encode it as a JPEG cropped to the given aspect ratio
+     * Resolves to null when the image can't be loaded or read (e.g. cross-origin without CORS)
+     */
+    async loadJPEG(src, aspectRatio, maxWidth = 1200) {
+        try {
+            const img = new Image();
+            img.src = src;
+            await img.decode();
+
+            const sourceRatio = img.naturalWidth / img.naturalHeight;
+            let cropWidth = img.naturalWidth;
+            let cropHeight = img.naturalHeight;
+            if (sourceRatio > aspectRatio) {
+                cropWidth = cropHeight * aspectRatio;
+            } else {
+                cropHeight = cropWidth / aspectRatio;
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(Math.min(maxWidth, cropWidth));
+            canvas.height = Math.round(canvas.width / aspectRatio);
+
+            const context = canvas.getContext('2d');
+            // JPEG has no transparency
+            context.fillStyle = '#FFFFFF';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(img,
+                (img.naturalWidth - cropWidth) / 2, (img.naturalHeight - cropHeight) / 2, cropWidth, cropHeight,
+                0, 0, canvas.width, canvas.height);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+            if (!blob) return null;
+
+            return {
+                data: new Uint8Array(await blob.arrayBuffer()),
+                width: canvas.width,
+                height: canvas.height
+            };
+        } catch (error) {
+            console.warn('Spec sheet image skipped:', src, error);
+            return null;
+        }
+    },
+
+    /**
+     * Build the one-page PDF
+     */
+    async createPDF(project, url = window.location.href) {
+        const pdf = new PDFWriter();
+        const margin = 40;
+        const contentWidth = pdf.width - margin * 2;
+        const footerTop = pdf.height - 50;
+        let y = 0;
+
+        // Brand band
+        pdf.rect(0, 0, pdf.width, 70, this.colors.primary);
+        pdf.rect(0, 70, pdf.width, 4, this.colors.secondary);
+        pdf.text(margin, 20, this.brand.name, { size: 16, weight: 'bold', color: '#FFFFFF' });
+        pdf.text(margin, 42, this.brand.tagline, { size: 9, color: '#F4E4BC' });
+        [this.brand.phone, this.brand.email].forEach((line, index) => {
+            pdf.text(pdf.width - margin - pdf.measure(line, 9), 22 + index * 14, line, { size: 9, color: '#FFFFFF' });
+        });
+
+        y = 96;
+        pdf.wrap(project.title, 22, contentWidth, 'bold').slice(0, 2).forEach(line => {
+            pdf.text(margin, y, line, { size: 22, weight: 'bold', color: this.colors.text });
+            y += 27;
+        });
+        pdf.text(margin, y, `${FormatUtils.toTitleCase(project.category)} project - ${project.location}`, {
+            size: 11, color: this.colors.muted
+        });
+        y += 24;
+
+        // Photos: one hero and up to two supporting shots
+        const gap = 10;
+        const heroHeight = 230;
+        const thumbWidth = (contentWidth - gap) / 2;
+        const thumbHeight = 110;
+        const [heroSrc, ...otherSrcs] = project.images;
+
+        const hero = await this.loadJPEG(heroSrc, contentWidth / heroHeight);
+        if (hero) {
+            pdf.image(hero.data, hero.width, hero.height, margin, y, contentWidth, heroHeight);
+            y += heroHeight + gap;
+        }
+
+        const thumbs = (await Promise.all(otherSrcs.slice(0, 2).map(src =>
+            this.loadJPEG(src, thumbWidth / thumbHeight, 700)
+        ))).filter(Boolean);
+        thumbs.forEach((thumb, index) => {
+            pdf.image(thumb.data, thumb.width, thumb.height, margin + index * (thumbWidth + gap), y, thumbWidth, thumbHeight);
+        });
+        if (thumbs.length) {
+            y += thumbHeight + gap;
+        }
+
+        // Facts grid, three per row
+        const facts = this.getFacts(project);
+        const columnWidth = contentWidth / 3;
+        const rowHeight = 38;
+        const gridHeight = Math.ceil(facts.length / 3) * rowHeight + 8;
+        y += 6;
+        pdf.rect(margin, y, contentWidth, gridHeight, this.colors.panel);
+        facts.forEach((fact, index) => {
+            const x = margin + 12 + (index % 3) * columnWidth;
+            const top = y + 10 + Math.floor(index / 3) * rowHeight;
+            pdf.text(x, top, fact.label.toUpperCase(), { size: 8, weight: 'bold', color: this.colors.muted });
+            pdf.text(x, top + 12, pdf.wrap(fact.value, 11, columnWidth - 20, 'bold')[0] || '', {
+                size: 11, weight: 'bold', color: this.colors.text
+            });
+        });
+        y += gridHeight + 20;
+
+        // Text sections stop short of the footer so the sheet stays on one page
+        const section = (heading, lines, { bullet = false } = {}) => {
+            if (y + 40 > footerTop) return;
+
+            pdf.text(margin, y, heading, { size: 12, weight: 'bold', color: this.colors.primary });
+            y += 20;
+
+            for (const line of lines) {
+                if (y + 14 > footerTop) break;
+
+                if (bullet && line.first) {
+                    pdf.rect(margin + 2, y + 3, 4, 4, this.colors.secondary);
+                }
+                pdf.text(margin + (bullet ? 14 : 0), y, line.text, { size: 10, color: this.colors.text });
+                y += 14;
+            }
+            y += 10;
+        };
+
+        const overview = project.description || project.summary || '';
+        if (overview) {
+            section('Project Overview', pdf.wrap(overview, 10, contentWidth).map(text => ({ text })));
+        }
+
+        const features = (project.features || []).flatMap(feature =>
+            pdf.wrap(feature, 10, contentWidth - 14).map((text, index) => ({ text, first: index === 0 }))
+        );
+        if (features.length) {
+            section('Key Features', features, { bullet: true });
+        }
+
+        // Footer
+        pdf.rect(margin, footerTop, contentWidth, 1, this.colors.secondary);
+        pdf.text(margin, footerTop + 10, url, { size: 8, color: this.colors.muted });
+        const generated = `Generated ${FormatUtils.formatDate(new Date())}`;
+        pdf.text(pdf.width - margin - pdf.measure(generated, 8), footerTop + 10, generated, { size: 8, color: this.colors.muted });
+
+        return pdf.output();
+    },
+
+    /**
+     * Generate the PDF and save it to the device
+     */
+    async download(project, url) {
+        const blob = await this.createPDF(project, url);
+        const objectUrl = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = objectUrl;
+        link.download = `${FormatUtils.toSlug(project.title)}-spec-sheet.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser time to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+        return blob;
+    }
+};
+
+// Export for global access
+window.PDFWriter = PDFWriter;
+window.SpecSheet = SpecSheet;
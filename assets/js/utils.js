@@ -330,12 +330,12 @@ const ValidationUtils = {
     },
 
     /**
-     * Sanitize HTML input
+     * Escape text for HTML, safe inside attribute values too
      */
     sanitizeHTML(str) {
         const temp = document.createElement('div');
         temp.textContent = str;
-        return temp.innerHTML;
+        return temp.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 };
 
@@ -384,6 +384,53 @@ const FormatUtils = {
         return num.toString();
     },
 
+    /**
+     * Parse a display amount back to a number ("₹8.5L" -> 850000, "₹1.2Cr" -> 12000000)
+     */
+    parseCurrency(value) {
+        if (typeof value === 'number') return value;
+
+        const match = String(value || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(cr|crore|l|lakh|lac|k)?/i);
+        if (!match) return null;
+
+        const multipliers = { cr: 10000000, crore: 10000000, l: 100000, lakh: 100000, lac: 100000, k: 1000 };
+        const unit = (match[2] || '').toLowerCase();
+        return Math.round(parseFloat(match[1]) * (multipliers[unit] || 1));
+    },
+
+    /**
+     * Parse a duration to days ("45 Days" -> 45, "3 Months" -> 90)
+     */
+    parseDuration(value) {
+        const match = String(value || '').match(/(\d+(?:\.\d+)?)\s*(day|week|month|year)?/i);
+        if (!match) return null;
+
+        const daysPerUnit = { day: 1, week: 7, month: 30, year: 365 };
+        const unit = (match[2] || 'day').toLowerCase();
+        return Math.round(parseFloat(match[1]) * daysPerUnit[unit]);
+    },
+
+    /**
+     * Parse an area to square feet ("1200 sq ft" -> 1200)
+     */
+    parseArea(value) {
+        const match = String(value || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)/);
+        return match ? parseFloat(match[1]) : null;
+    },
+
+    /**
+     * Format a byte count for people (1536 -> "2 KB", 4200000 -> "4 MB", 5500000 -> "5.2 MB")
+     */
+    formatFileSize(bytes) {
+        if (bytes >= 1024 * 1024) {
+            return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+        }
+        if (bytes >= 1024) {
+            return `${Math.round(bytes / 1024)} KB`;
+        }
+        return `${bytes} B`;
+    },
+
     /**
      * Format date
      */
@@ -557,6 +604,13 @@ const BrowserUtils = {
             x: window.pageXOffset || document.documentElement.scrollLeft,
             y: window.pageYOffset || document.documentElement.scrollTop
         };
+    },
+
+    /**
+     * Whether the visitor has asked for reduced motion (checked live, so a change applies straight away)
+     */
+    prefersReducedMotion() {
+        return Boolean(window.matchMedia) && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     }
 };
 
@@ -0,0 +1,141 @@
+/**
+ * Responsive Image Builder
+ * Generates AVIF/WebP/JPEG variants, blur-up placeholders and dimensions for every photo in
+ * assets/images, and writes the manifest assets/js/responsive-images.js reads
+ *
+ * Usage (from the project root):
+ *   npm install
+ *   npm run build:images [-- --force]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    console.error('sharp is not installed. Run: npm install');
+    process.exit(1);
+}
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE_DIR = 'assets/images';
+const OUTPUT_DIR = 'assets/images/responsive';
+const MANIFEST = 'assets/data/images.json';
+
+// Variant widths; no variant is wider than the original
+const WIDTHS = [400, 800, 1200, 1600];
+
+const FORMATS = {
+    avif: image => image.avif({ quality: 50 }),
+    webp: image => image.webp({ quality: 75 }),
+    jpg: image => image.jpeg({ quality: 78, progressive: true, mozjpeg: true })
+};
+
+// Folders that hold icons or our own output rather than photos
+const SKIP_DIRS = [OUTPUT_DIR, 'assets/images/icons'];
+
+const force = process.argv.includes('--force');
+
+/**
+ * Photo paths relative to the project root, using forward slashes like the project data
+ */
+function findImages(dir) {
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap(entry => {
+        const relative = `${dir}/${entry.name}`;
+
+        if (entry.isDirectory()) {
+            return SKIP_DIRS.includes(relative) ? [] : findImages(relative);
+        }
+
+        return /\.(jpe?g|png)$/i.test(entry.name) ? [relative] : [];
+    });
+}
+
+function getWidths(originalWidth) {
+    const widths = WIDTHS.filter(width => width < originalWidth);
+    widths.push(Math.min(originalWidth, WIDTHS[WIDTHS.length - 1]));
+    return widths;
+}
+
+/**
+ * Skip variants that are already newer than their source
+ */
+function isFresh(output, sourceTime) {
+    if (force) return false;
+
+    try {
+        return fs.statSync(output).mtimeMs >= sourceTime;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * A tiny blurred JPEG, inlined as the image background while the real one loads
+ */
+async function createPlaceholder(file) {
+    const buffer = await sharp(file)
+        .rotate()
+        .resize(20)
+        .blur()
+        .jpeg({ quality: 50 })
+        .toBuffer();
+
+    return `data:image/jpeg;base64,${buffer.toString('base64')}`;
+}
+
+async function buildImage(src) {
+    const file = path.join(ROOT, src);
+    const sourceTime = fs.statSync(file).mtimeMs;
+
+    // rotate() applies EXIF orientation, so read the dimensions after it
+    const { info } = await sharp(file).rotate().toBuffer({ resolveWithObject: true });
+    const widths = getWidths(info.width);
+
+    const base = `${OUTPUT_DIR}/${path.posix.relative(SOURCE_DIR, src).replace(/\.[^.]+$/, '')}`;
+    fs.mkdirSync(path.join(ROOT, path.dirname(base)), { recursive: true });
+
+    let written = 0;
+
+    for (const width of widths) {
+        for (const [ext, encode] of Object.entries(FORMATS)) {
+            const output = path.join(ROOT, `${base}-${width}.${ext}`);
+            if (isFresh(output, sourceTime)) continue;
+
+            await encode(sharp(file).rotate().resize(width)).toFile(output);
+            written++;
+        }
+    }
+
+    console.log(`✓ ${src} (${info.width}×${info.height}) ${written ? `${written} variants written` : 'up to date'}`);
+
+    return {
+        width: info.width,
+        height: info.height,
+        base,
+        widths,
+        lqip: await createPlaceholder(file)
+    };
+}
+
+async function build() {
+    const images = {};
+
+    for (const src of findImages(SOURCE_DIR).sort()) {
+        try {
+            images[src] = await buildImage(src);
+        } catch (error) {
+            console.error(`✗ ${src}: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+
+    const manifest = { version: 1, images };
+    fs.writeFileSync(path.join(ROOT, MANIFEST), `${JSON.stringify(manifest, null, 2)}\n`);
+
+    console.log(`\nWrote ${MANIFEST} with ${Object.keys(images).length} images`);
+}
+
+build();
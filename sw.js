@@ -3,23 +3,48 @@
  * Provides offline support and caching strategy
  */
 
-const CACHE_VERSION = 'ai-interior-v1.0.0';
+// Bump this, and the ?v= query on the scripts in index.html, whenever a precached file changes;
+// assets are served cache-first, so returning visitors otherwise keep the old copies
+const CACHE_VERSION = 'ai-interior-v1.35.0';
 const CACHE_NAME = `${CACHE_VERSION}::static`;
 const RUNTIME_CACHE = `${CACHE_VERSION}::runtime`;
 
+// IndexedDB queue of form submissions made offline, shared with the page
+importScripts('/assets/js/form-queue.js');
+
 // Assets to cache on install
 const PRECACHE_ASSETS = [
     '/',
     '/index.html',
     '/assets/css/main.css',
     '/assets/css/components.css',
+    '/assets/css/print.css',
     '/assets/js/main.js',
     '/assets/js/theme.js',
     '/assets/js/navigation.js',
     '/assets/js/animations.js',
     '/assets/js/portfolio.js',
+    '/assets/js/portfolio-catalog.js',
+    '/assets/js/portfolio-facets.js',
+    '/assets/js/portfolio-search.js',
+    '/assets/js/portfolio-shortlist.js',
+    '/assets/js/portfolio-similar.js',
+    '/assets/js/portfolio-virtual-grid.js',
+    '/assets/js/portfolio-map.js',
+    '/assets/js/before-after.js',
+    '/assets/js/gallery-gestures.js',
+    '/assets/js/panorama-viewer.js',
+    '/assets/js/spec-sheet.js',
     '/assets/js/utils.js',
+    '/assets/js/responsive-images.js',
+    '/assets/js/form-queue.js',
+    '/assets/js/spam-guard.js',
     '/assets/js/form-handler.js',
+    '/assets/js/file-attachments.js',
+    '/assets/js/quote-wizard.js',
+    '/assets/data/portfolio.json',
+    '/assets/data/images.json',
+    '/assets/images/kolkata-map.svg',
     '/components/header.html',
     '/components/hero-section.html',
     '/components/about-section.html',
@@ -104,8 +129,8 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // Handle API requests differently
-    if (request.url.includes('/api/')) {
+    // Handle API requests and data catalogs differently
+    if (request.url.includes('/api/') || url.pathname.startsWith('/assets/data/')) {
         event.respondWith(networkFirst(request));
         return;
     }
@@ -184,7 +209,7 @@ async function networkFirst(request) {
     } catch (error) {
         console.error('[SW] Network first failed, trying cache:', error);
 
-        const cached = await cache.match(request);
+        const cached = await caches.match(request);
 
         if (cached) {
             return cached;
@@ -245,7 +270,7 @@ self.addEventListener('message', (event) => {
  * Background Sync for offline form submissions
  */
 self.addEventListener('sync', (event) => {
-    if (event.tag === 'sync-forms') {
+    if (event.tag === FormQueue.syncTag) {
         event.waitUntil(syncForms());
     }
 });
@@ -254,9 +279,28 @@ self.addEventListener('sync', (event) => {
  * Sync offline form submissions when back online
  */
 async function syncForms() {
-    // This would sync any queued form submissions
-    // Implementation depends on your backend
     console.log('[SW] Syncing offline form submissions');
+
+    const { sent, remaining } = await FormQueue.replay();
+
+    if (sent.length) {
+        console.log(`[SW] Sent ${sent.length} queued form submission(s)`);
+
+        // Open pages let the visitor know their message went through
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        windows.forEach((client) => {
+            client.postMessage({
+                type: 'FORMS_SYNCED',
+                formTypes: sent.map((entry) => entry.formType),
+                remaining
+            });
+        });
+    }
+
+    // Failing the sync makes the browser retry it later
+    if (remaining) {
+        throw new Error(`${remaining} form submission(s) still queued`);
+    }
 }
 
 /**